@@ -0,0 +1,50 @@
+// Run with: node --test test/
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { UsageError, parseArgs } from "../zvm.js";
+
+test('splits the command, its positional arguments and its flags', () => {
+  assert.deepEqual(parseArgs(['i', '0.14', '--alias', 'stable', '--with-zls', '-q']), {
+    command: 'install',
+    positional: ['0.14'],
+    flags: { alias: 'stable', 'with-zls': true, quiet: true },
+    rawArgs: [],
+  });
+});
+
+test('takes flag values after an equals sign', () => {
+  const { flags } = parseArgs(['install', '--target=aarch64-macos', '--alias=', '--format=json']);
+  assert.deepEqual(flags, { target: 'aarch64-macos', alias: '', format: 'json' });
+});
+
+test('rejects values for flags that take none, and missing values', () => {
+  assert.throws(() => parseArgs(['install', '--with-zls=yes']), { name: 'UsageError', message: "--with-zls doesn't take a value." });
+  assert.throws(() => parseArgs(['install', '0.14', '--alias']), { name: 'UsageError', message: /--alias needs a value/ });
+});
+
+test('leaves everything after a raw command to the command it runs', () => {
+  const { command, positional, rawArgs } = parseArgs(['exec', '0.14', '--', 'zig', 'build', '--verbose']);
+  assert.equal(command, 'exec');
+  assert.deepEqual(positional, []);
+  assert.deepEqual(rawArgs, ['0.14', '--', 'zig', 'build', '--verbose']);
+});
+
+test('rejects unknown flags', () => {
+  assert.throws(() => parseArgs(['list', '--frobnicate']), (e) => e instanceof UsageError
+    && e.message === `Unknown option "--frobnicate" for 'list'.`
+    && e.hint === "Run 'zvm list --help' to see the options.");
+  assert.throws(() => parseArgs(['-z']), { name: 'UsageError', message: 'Unknown option "-z".' });
+});
+
+test('suggests the closest flag or command for a typo', () => {
+  assert.throws(() => parseArgs(['install', '--with-zsl']), { hint: 'Did you mean --with-zls?' });
+  assert.throws(() => parseArgs(['--verbos']), { hint: 'Did you mean --verbose?' });
+  assert.throws(() => parseArgs(['instal', '0.14']), { message: 'Unknown command "instal".', hint: "Did you mean 'zvm install'?" });
+  assert.throws(() => parseArgs(['frobnicate']), { hint: "Run 'zvm help' to see the commands." });
+});
+
+test('points a command flag given before the command to the command', () => {
+  assert.throws(() => parseArgs(['--with-zls', 'install']), {
+    hint: "--with-zls goes after the command it belongs to, e.g. 'zvm install --with-zls'.",
+  });
+});
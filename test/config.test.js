@@ -0,0 +1,69 @@
+// Run with: node --test test/
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { UsageError, Zvm } from "../zvm.js";
+
+/**
+ * Runs a test function with a scratch zvm directory and environment variables, both removed afterwards.
+ * @param {Object.<string, string>} env - Environment variables to set while the function runs.
+ * @param {function(string): Promise<void>} fn - Called with the directory.
+ */
+async function withSettings(env, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zvm-test-'));
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  try {
+    await fn(dir);
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('environment variables override config.json, and constructor options override both', async () => {
+  await withSettings({ ZVM_TIMEOUT: '2000', ZVM_RETRIES: '4' }, async (dir) => {
+    await fs.writeFile(path.join(dir, 'config.json'), JSON.stringify({ timeout: 1000, retries: 3, offline: true }));
+    const zvm = new Zvm({ dir, config: { retries: '5' } });
+    const sources = Object.fromEntries((await zvm.listConfig()).map(({ key, source }) => [key, source]));
+    assert.deepEqual([sources.offline, sources.timeout, sources.retries, sources.proxy], ['config.json', 'ZVM_TIMEOUT', 'options', 'default']);
+    const config = await zvm.config();
+    assert.deepEqual([config.offline, config.timeout, config.retries], [true, 2000, 5]);
+  });
+});
+
+test('a saved setting applies until an environment variable overrides it', async () => {
+  await withSettings({ ZVM_TIMEOUT: '' }, async (dir) => {
+    const zvm = new Zvm({ dir });
+    assert.equal(await zvm.setConfig('timeout', '5000'), 5000);
+    assert.equal(await zvm.getConfig('timeout'), 5000);
+    process.env.ZVM_TIMEOUT = '7000';
+    assert.equal(await new Zvm({ dir }).getConfig('timeout'), 7000);
+  });
+});
+
+for (const [key, env] of [['timeout', 'ZVM_TIMEOUT'], ['retries', 'ZVM_RETRIES']]) {
+  test(`rejects invalid ${key} values`, async () => {
+    await withSettings({ [env]: '' }, async (dir) => {
+      const zvm = new Zvm({ dir });
+      for (const value of ['-1', '1.5', 'soon', -1]) {
+        await assert.rejects(zvm.setConfig(key, value), UsageError, `${key} = ${JSON.stringify(value)}`);
+      }
+      await assert.rejects(fs.access(path.join(dir, 'config.json')));
+    });
+
+    await withSettings({ [env]: 'never' }, async (dir) => {
+      await assert.rejects(new Zvm({ dir }).config(), new RegExp(`Invalid value for ${key}: "never"`));
+    });
+    await withSettings({ [env]: '' }, async (dir) => {
+      await fs.writeFile(path.join(dir, 'config.json'), JSON.stringify({ [key]: -5 }));
+      await assert.rejects(new Zvm({ dir }).config(), UsageError);
+      await assert.rejects(new Zvm({ dir, config: { [key]: 'x' } }).config(), UsageError);
+    });
+  });
+}
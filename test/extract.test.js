@@ -0,0 +1,73 @@
+// Run with: node --test test/
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { extractArchive } from "../zvm.js";
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Extracts a fixture into a fresh directory inside a scratch directory, so anything that
+ * escapes the destination stays in the scratch directory where the test can see it.
+ * @param {string} fixture - The fixture's file name.
+ * @param {function(string, string, Promise<string|null>): Promise<void>} check - Called with the scratch and
+ *   destination directories and the pending extraction.
+ */
+async function withExtraction(fixture, check) {
+  const scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'zvm-test-'));
+  const destination = path.join(scratch, 'dest');
+  await fs.mkdir(destination);
+  try {
+    await check(scratch, destination, extractArchive(path.join(fixtures, fixture), destination, { stripRoot: true }));
+  } finally {
+    await fs.rm(scratch, { recursive: true, force: true });
+  }
+}
+
+test('extracts symbolic and hard links inside the destination', async () => {
+  await withExtraction('links.tar.xz', async (scratch, destination, extraction) => {
+    assert.equal(await extraction, 'root');
+    assert.equal(await fs.readlink(path.join(destination, 'std')), 'lib');
+    assert.equal(await fs.readFile(path.join(destination, 'std', 'alias.zig'), 'utf-8'), 'pub const x = 1;\n');
+    const copy = await fs.lstat(path.join(destination, 'copy.zig'));
+    assert.ok(copy.isFile());
+  });
+});
+
+test('refuses to write through a chain of links that leaves the destination', async () => {
+  // root/a/b -> .., root/c -> a/b/.., then root/c/escaped.txt
+  await withExtraction('link-chain.tar.xz', async (scratch, destination, extraction) => {
+    await assert.rejects(extraction, /Unsafe path in archive/);
+    await assert.rejects(fs.access(path.join(scratch, 'escaped.txt')));
+  });
+});
+
+test('refuses a chain of links that points outside the destination', async () => {
+  await withExtraction('link-chain-only.tar.xz', async (scratch, destination, extraction) => {
+    await assert.rejects(extraction, /Unsafe link in archive: c -> a\/b\/\.\./);
+  });
+});
+
+test('extracts symbolic links from zip files as links', async () => {
+  await withExtraction('links.zip', async (scratch, destination, extraction) => {
+    assert.equal(await extraction, 'root');
+    assert.equal(await fs.readlink(path.join(destination, 'std')), 'lib');
+    assert.equal(await fs.readFile(path.join(destination, 'std', 'std.zig'), 'utf-8'), 'pub const x = 1;\n');
+  });
+});
+
+test('refuses zip symbolic links that chain outside the destination', async () => {
+  await withExtraction('link-chain.zip', async (scratch, destination, extraction) => {
+    await assert.rejects(extraction, /Unsafe path in archive/);
+    await assert.rejects(fs.access(path.join(scratch, 'escaped.txt')));
+  });
+});
+
+test('rejects zip entries whose compressed data is corrupt', async () => {
+  await withExtraction('corrupt.zip', async (scratch, destination, extraction) => {
+    await assert.rejects(extraction, { code: 'Z_DATA_ERROR' });
+  });
+});
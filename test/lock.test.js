@@ -0,0 +1,60 @@
+// Run with: node --test test/
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { setTimeout as delay } from "node:timers/promises";
+import { Zvm } from "../zvm.js";
+
+test('concurrent calls on one Zvm take turns holding the lock', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zvm-test-'));
+  try {
+    await fs.mkdir(path.join(dir, 'versions', 'zig-0.14.1'), { recursive: true });
+    const zvm = new Zvm({ dir });
+    const names = Array.from({ length: 11 }, (_, i) => `alias${i}`);
+    // Later calls start while earlier ones hold the lock.
+    await Promise.all(names.map((name, i) => delay(i).then(() => zvm.setAlias(name, '0.14.1'))));
+    assert.deepEqual(Object.keys(await zvm.aliases()).sort(), names.sort());
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('calls nested inside withLock run without waiting for the lock again', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zvm-test-'));
+  try {
+    const zvm = new Zvm({ dir });
+    const order = [];
+    await Promise.all([
+      zvm.withLock(async () => {
+        order.push('outer');
+        await zvm.withLock(async () => order.push('nested'));
+      }),
+      zvm.withLock(async () => order.push('other')),
+    ]);
+    assert.deepEqual(order, ['outer', 'nested', 'other']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('mirror failures and pins recorded at once are all kept', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zvm-test-'));
+  try {
+    const mirror = 'https://mirror.example.com';
+    const state = { probedAt: Date.now(), pinned: [], excluded: [], mirrors: { [mirror]: { latency: 10, ok: true, failedAt: [], lastProbe: Date.now() } } };
+    await fs.writeFile(path.join(dir, 'mirrors.json'), JSON.stringify(state));
+    // Separate instances stand in for separate processes sharing the lock file.
+    const instances = Array.from({ length: 6 }, () => new Zvm({ dir }));
+    await Promise.all([
+      ...instances.map((zvm, i) => delay(i).then(() => zvm.recordMirrorFailure(mirror))),
+      instances[0].setMirrorPreference('pin', 'https://pinned.example.com'),
+    ]);
+    const saved = await instances[0].getMirrorState();
+    assert.equal(saved.mirrors[mirror].failedAt.length, instances.length);
+    assert.deepEqual(saved.pinned, ['https://pinned.example.com']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,115 @@
+// Run with: node --test test/
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { DownloadError, VerificationError, Zvm, verifyArchive } from "../zvm.js";
+
+const filename = 'zig-x86_64-linux-0.14.1.tar.xz';
+const archive = Buffer.from('not really an archive, but signed like one');
+const shasum = crypto.createHash('sha256').update(archive).digest('hex');
+
+/**
+ * Creates a minisign key pair.
+ * @returns {{publicKey: string, sign: function(Object): string}} The public key in minisign's
+ *   base64 form, and a function that signs `archive` the way `minisign -S` does.
+ */
+function createMinisignKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const keyId = crypto.randomBytes(8);
+  const rawPublicKey = publicKey.export({ format: 'der', type: 'spki' }).subarray(12);
+  return {
+    publicKey: Buffer.concat([Buffer.from('Ed'), keyId, rawPublicKey]).toString('base64'),
+    sign({ algorithm = 'ED', signedKeyId = keyId, file = filename } = {}) {
+      const message = algorithm === 'ED' ? crypto.createHash('blake2b512').update(archive).digest() : archive;
+      const signature = crypto.sign(null, message, privateKey);
+      const trustedComment = `timestamp:1700000000\tfile:${file}\thashed`;
+      const globalSignature = crypto.sign(null, Buffer.concat([signature, Buffer.from(trustedComment)]), privateKey);
+      return [
+        'untrusted comment: signature from minisign secret key',
+        Buffer.concat([Buffer.from(algorithm), signedKeyId, signature]).toString('base64'),
+        `trusted comment: ${trustedComment}`,
+        globalSignature.toString('base64'),
+      ].join('\n');
+    },
+  };
+}
+
+const key = createMinisignKey();
+const rejected = {
+  'a bad SHA-256': { signature: key.sign(), expectedShasum: 'a'.repeat(64), message: /SHA-256 mismatch/ },
+  'a signature that is not prehashed': { signature: key.sign({ algorithm: 'Ed' }), message: /Unsupported signature algorithm "Ed"/ },
+  'a signature from another key': { signature: key.sign({ signedKeyId: crypto.randomBytes(8) }), message: /not made with the trusted key/ },
+  'a signature for another file': { signature: key.sign({ file: 'zig-x86_64-linux-0.11.0.tar.xz' }), message: /Signature is not for/ },
+};
+
+/**
+ * Runs a test function with a scratch directory that is removed afterwards.
+ * @param {function(string): Promise<void>} fn - Called with the directory.
+ */
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zvm-test-'));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Lists the files under a directory, recursively.
+ * @param {string} dir - The directory.
+ * @returns {Promise<string[]>}
+ */
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true }).catch(() => []);
+  return entries.filter(entry => !entry.isDirectory()).map(entry => entry.name);
+}
+
+test('accepts an archive with a good SHA-256 and signature', async () => {
+  await withTempDir(async (dir) => {
+    const file = path.join(dir, filename);
+    await fs.writeFile(file, archive);
+    assert.equal(await verifyArchive(file, key.sign(), filename, shasum, key.publicKey), shasum);
+  });
+});
+
+for (const [name, { signature, expectedShasum = shasum, message }] of Object.entries(rejected)) {
+  test(`rejects ${name}`, async () => {
+    await withTempDir(async (dir) => {
+      const file = path.join(dir, filename);
+      await fs.writeFile(file, archive);
+      await assert.rejects(verifyArchive(file, signature, filename, expectedShasum, key.publicKey),
+        (e) => e instanceof VerificationError && message.test(e.message));
+    });
+  });
+
+  test(`leaves nothing in the cache after downloading ${name}`, async () => {
+    await withTempDir(async (dir) => {
+      const zvm = new Zvm({ dir, config: { retries: 0 } });
+      zvm.minisignPublicKey = key.publicKey;
+      zvm.fetch = async (url) => new Response(url.endsWith('.minisig') ? signature : archive);
+      await assert.rejects(zvm.attemptDownload(['https://mirror.example.com'], [filename], expectedShasum), DownloadError);
+      assert.deepEqual(await listFiles(zvm.cacheDir), []);
+    });
+  });
+}
+
+test('moves on to the next mirror once a mirror serves a bad archive', async () => {
+  await withTempDir(async (dir) => {
+    const zvm = new Zvm({ dir, config: { retries: 0 } });
+    zvm.minisignPublicKey = key.publicKey;
+    const requested = [];
+    zvm.fetch = async (url, options = {}) => {
+      if (options.method !== 'HEAD') requested.push(url);
+      const signature = url.startsWith('https://bad.example.com') ? key.sign({ algorithm: 'Ed' }) : key.sign();
+      return new Response(url.endsWith('.minisig') ? signature : archive);
+    };
+    const { downloadedFile } = await zvm.attemptDownload(['https://bad.example.com', 'https://good.example.com'],
+      [filename, 'zig-linux-x86_64-0.14.1.tar.xz'], shasum);
+    assert.equal(path.basename(downloadedFile), filename);
+    assert.deepEqual(requested.filter(url => url.includes('zig-linux-')), []);
+  });
+});
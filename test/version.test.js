@@ -0,0 +1,54 @@
+// Run with: node --test test/
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { UsageError, Zvm, compareZigVersions, parseZigVersion, selectVersion } from "../zvm.js";
+
+const versions = ['0.13.0', '0.14.0', '0.14.1', '0.15.0-dev.1100+aaaaaaaaa', '0.15.0-dev.1175+e4abdf5a1'];
+
+test('parses full versions and rejects partial ones', () => {
+  assert.deepEqual(parseZigVersion('0.15.0-dev.1175+e4abdf5a1'), { major: 0, minor: 15, patch: 0, dev: 1175 });
+  assert.deepEqual(parseZigVersion('0.14.1'), { major: 0, minor: 14, patch: 1, dev: null });
+  assert.equal(parseZigVersion('0.14'), null);
+  assert.equal(parseZigVersion('0.15.0-dev.1175'), null);
+});
+
+test('sorts dev builds before their release', () => {
+  assert.deepEqual([...versions, '0.15.0'].sort(compareZigVersions).slice(-3), ['0.15.0-dev.1100+aaaaaaaaa', '0.15.0-dev.1175+e4abdf5a1', '0.15.0']);
+});
+
+test('selects versions by keyword, full version and prefix', () => {
+  assert.equal(selectVersion('latest', [...versions]), '0.14.1');
+  assert.equal(selectVersion('master', [...versions]), '0.15.0-dev.1175+e4abdf5a1');
+  assert.equal(selectVersion('0.14.0', [...versions]), '0.14.0');
+  assert.equal(selectVersion('0.14', [...versions]), '0.14.1');
+  assert.equal(selectVersion('0.15', [...versions]), '0.15.0-dev.1175+e4abdf5a1');
+});
+
+test('matches prefixes on whole components only', () => {
+  assert.equal(selectVersion('0.1', [...versions]), null);
+  assert.equal(selectVersion('0.13.1', [...versions]), null);
+  assert.equal(selectVersion('0.15.0-dev.11', [...versions]), null);
+});
+
+test('selects a dev build by its number, without the hash', () => {
+  assert.equal(selectVersion('0.15.0-dev.1175', [...versions]), '0.15.0-dev.1175+e4abdf5a1');
+  assert.equal(selectVersion('0.15.0-dev.1100', [...versions]), '0.15.0-dev.1100+aaaaaaaaa');
+});
+
+test('reports a spec matching more than one installed directory', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zvm-test-'));
+  try {
+    for (const name of ['zig-0.14.1', 'zig-custom-0.14.1', 'zig-0.13.0']) {
+      await fs.mkdir(path.join(dir, 'versions', name), { recursive: true });
+    }
+    const zvm = new Zvm({ dir });
+    await assert.rejects(zvm.resolve('0.14'), (e) => e instanceof UsageError && /ambiguous/.test(e.message));
+    assert.equal(await zvm.resolve('0.13'), 'zig-0.13.0');
+    assert.equal(await zvm.resolve('zig-custom-0.14.1'), 'zig-custom-0.14.1');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
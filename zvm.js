@@ -3,23 +3,81 @@
 // A cross-platform script to install and manage multiple Zig versions.
 // Compatible with Node.js, Deno, and Bun.
 //
-// This script relies on the 'tar' command being available in the system's PATH.
-// On Windows, this is commonly available through Git for Windows.
+// Archives are extracted in plain JavaScript; no system 'tar' is needed.
+//
+// Besides being a CLI, this file is an ES module: `import { Zvm } from './zvm.js'` gives the
+// same functionality as methods that return data and throw ZvmError subclasses.
 
+import { AsyncLocalStorage } from "async_hooks";
 import { spawn } from "child_process";
+import crypto from "crypto";
+import { constants, createReadStream, createWriteStream, realpathSync } from "fs";
+import http from "http";
+import https from "https";
 import os from "os";
 import path from "path";
+import { Readable } from "stream";
+import tls from "tls";
+import { fileURLToPath } from "url";
+import zlib from "zlib";
 import fs from "fs/promises";
+import { pipeline } from "stream/promises";
 
 // --- Configuration ---
 const ZIG_CANONICAL_URL = 'https://ziglang.org';
 const ZIG_INDEX_URL = 'https://ziglang.org/download/index.json';
 const MIRRORS_URL = 'https://ziglang.org/download/community-mirrors.txt';
-const ZVM_DIR = path.join(os.homedir(), '.zvm');
-const INSTALL_BASE_DIR = path.join(ZVM_DIR, 'versions');
-const SHIMS_DIR = path.join(ZVM_DIR, 'shims');
-const ACTIVE_VERSION_LINK = path.join(SHIMS_DIR, 'active'); // A symlink to the active version
-const ALIASES_FILE = path.join(ZVM_DIR, 'aliases.json');
+const SHIM_EXECUTABLES = ['zig', 'zls'];
+const ZLS_INDEX_URL = 'https://releases.zigtools.org/v1/zls/select-version';
+const MACH_INDEX_URL = 'https://machengine.org/zig/index.json';
+// The source for the configured index.json, which lists releases and the latest dev build.
+const DEFAULT_SOURCE = 'ziglang';
+// Version indexes laid out like index.json, but with entries named by key, such as Mach's
+// nominated dev builds. `pattern` matches the keys 'zvm install' picks the source for by itself.
+const BUILTIN_SOURCES = {
+  mach: { indexUrl: MACH_INDEX_URL, pattern: /^mach-|-mach$/ },
+};
+const MIRROR_RANKING_TTL = 60 * 60 * 1000; // Re-probe mirrors after an hour
+const MIRROR_PROBE_TIMEOUT = 5000; // ms
+// Node's os.platform() and os.arch() names mapped to the names Zig publishes builds under.
+const HOST_OS_MAP = { linux: 'linux', darwin: 'macos', win32: 'windows', freebsd: 'freebsd', netbsd: 'netbsd' };
+const HOST_ARCH_MAP = {
+  x64: 'x86_64', arm64: 'aarch64', ia32: 'x86', arm: 'armv7a', riscv64: 'riscv64',
+  ppc64: 'powerpc64', loong64: 'loongarch64', s390x: 's390x',
+};
+const ZIG_OSES = Object.values(HOST_OS_MAP);
+const ZIG_ARCHES = [...Object.values(HOST_ARCH_MAP), 'powerpc64le'];
+const LOCK_STALE_AFTER = 5 * 60 * 1000; // A lock not refreshed for this long is left over from a crash
+const LOCK_TIMEOUT = 10 * 60 * 1000; // Give up waiting for another zvm process after this long
+const LOCK_POLL_INTERVAL = 250; // ms
+const DEFAULT_KEEP_DEV_BUILDS = 1; // Previous dev builds kept by 'zvm upgrade'
+const MANIFEST_FORMAT = 1; // Bumped when 'zvm export' writes manifests older versions can't import
+const RETRY_DELAY = 500; // ms before the first retry, doubled for each further one
+// Zig Software Foundation minisign key, see https://ziglang.org/download/
+const ZSF_MINISIGN_PUBLIC_KEY = 'RWSGOq2NVecA2UPNdBUZykf1CCb147pkmdtYxgb3Ti+JO/wCYvhbAb/U';
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+// Settings read from config.json, each of which its environment variable overrides.
+const CONFIG_OPTIONS = {
+  indexUrl: { env: 'ZVM_INDEX_URL', type: 'url', default: ZIG_INDEX_URL, description: "The Zig download index (index.json)." },
+  canonicalUrl: { env: 'ZVM_CANONICAL_URL', type: 'url', default: ZIG_CANONICAL_URL, description: "Fallback download server, laid out like ziglang.org (download/<version>/ and builds/)." },
+  mirrorsUrl: { env: 'ZVM_MIRRORS_URL', type: 'url', default: MIRRORS_URL, description: "The community mirror list." },
+  fetchMirrors: { env: 'ZVM_FETCH_MIRRORS', type: 'boolean', default: true, description: "Fetch the community mirror list. Turn off to use only the configured mirrors." },
+  mirrors: { env: 'ZVM_MIRRORS', type: 'urls', default: [], description: "Extra mirrors to rank and download from, comma-separated." },
+  sources: { env: 'ZVM_SOURCES', type: 'sources', default: [], description: "More version indexes for --source, as comma-separated name=url pairs." },
+  zlsIndexUrl: { env: 'ZVM_ZLS_INDEX_URL', type: 'url', default: ZLS_INDEX_URL, description: "The ZLS release index." },
+  proxy: { env: 'ZVM_PROXY', type: 'url', default: null, description: "HTTP proxy for all requests. Defaults to HTTPS_PROXY or HTTP_PROXY." },
+  noProxy: { env: 'ZVM_NO_PROXY', type: 'list', default: [], description: "Hosts to reach without the proxy, comma-separated. Defaults to NO_PROXY." },
+  timeout: { env: 'ZVM_TIMEOUT', type: 'number', default: 30000, description: "Milliseconds to wait for a server to respond or send more data." },
+  retries: { env: 'ZVM_RETRIES', type: 'number', default: 2, description: "How often to retry requests that fail with a network or server error." },
+  offline: { env: 'ZVM_OFFLINE', type: 'boolean', default: false, description: "Never go online. Versions are resolved with the cached index and installed from the download cache or --from-file." },
+  defaultAlias: { env: 'ZVM_DEFAULT_ALIAS', type: 'string', default: null, description: "An alias moved to each newly installed version, which is then activated." },
+};
+// 'json' prints results as JSON on stdout and everything else, uncolored, on stderr (--json).
+let outputFormat = 'text';
+// 'quiet' drops info and success messages (--quiet); 'verbose' adds debug messages (--verbose).
+let verbosity = 'normal';
+// Set when colors and emoji are turned off: NO_COLOR, --no-color, JSON output or a stdout that isn't a terminal.
+let plainOutput = false;
 
 const colors = {
   reset: "\x1b[0m",
@@ -30,11 +88,89 @@ const colors = {
   gray: "\x1b[90m",
 };
 
-const log = (msg) => console.log(msg);
-const logInfo = (msg) => console.log(`${colors.cyan}${msg}${colors.reset}`);
-const logSuccess = (msg) => console.log(`${colors.green}✅ ${msg}${colors.reset}`);
-const logError = (msg) => console.error(`${colors.red}❌ ${msg}${colors.reset}`);
-const logWarn = (msg) => console.warn(`${colors.yellow}⚠️  ${msg}${colors.reset}`);
+const isJson = () => outputFormat === 'json';
+const printJson = (data) => console.log(JSON.stringify(data, null, 2));
+const emoji = (symbol) => (plainOutput ? '' : symbol);
+const log = (msg) => (isJson() ? console.error(msg) : console.log(msg));
+const logDebug = (msg) => {
+  if (verbosity === 'verbose') console.error(`${colors.gray}${msg}${colors.reset}`);
+};
+const logInfo = (msg) => {
+  if (verbosity !== 'quiet') log(`${colors.cyan}${msg}${colors.reset}`);
+};
+const logSuccess = (msg) => {
+  if (verbosity !== 'quiet') log(`${colors.green}${emoji('✅ ')}${msg}${colors.reset}`);
+};
+const logWarn = (msg) => console.warn(`${colors.yellow}${emoji('⚠️  ')}${msg}${colors.reset}`);
+const logError = (msg) => {
+  if (isJson()) {
+    printJson({ error: msg });
+    process.exitCode = 1;
+  } else {
+    console.error(`${colors.red}${emoji('❌ ')}${msg}${colors.reset}`);
+  }
+};
+
+/**
+ * Turns off the ANSI colors and the emoji in messages.
+ */
+function usePlainOutput() {
+  plainOutput = true;
+  for (const key of Object.keys(colors)) colors[key] = '';
+}
+
+// Used by the Zvm API unless a logger is passed in.
+const silentLogger = { info() {}, success() {}, warn() {}, debug() {} };
+
+// --- Errors ---
+
+/**
+ * An error that zvm reports to the user as-is, like a version that is not installed.
+ * Anything else that is thrown is an unexpected failure.
+ */
+export class ZvmError extends Error {
+  /**
+   * @param {string} message - What went wrong.
+   * @param {{hint?: string}} [options] - `hint` suggests what to do about it.
+   */
+  constructor(message, { hint } = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.hint = hint;
+  }
+}
+
+/** Invalid or missing arguments, or contradictory project settings. */
+export class UsageError extends ZvmError {}
+
+/** A version, alias or project version that is not installed or does not exist. */
+export class VersionNotFoundError extends ZvmError {}
+
+/** The requested version is installed already. */
+export class AlreadyInstalledError extends ZvmError {
+  /**
+   * @param {string} message - What went wrong.
+   * @param {string} dir - The directory name of the installed version.
+   */
+  constructor(message, dir) {
+    super(message);
+    this.dir = dir;
+  }
+}
+
+/** An alias that does not exist or is taken. */
+export class AliasError extends ZvmError {}
+
+/** An archive that fails its checksum or signature check. */
+export class VerificationError extends ZvmError {}
+
+/** No source served a verified archive. */
+export class DownloadError extends ZvmError {}
+
+/** Another zvm process kept the home directory locked for too long. */
+export class LockError extends ZvmError {}
+
+// --- Helpers ---
 
 /**
  * A promise-based wrapper for spawning child processes.
@@ -58,199 +194,236 @@ function runCommand(command, args) {
 }
 
 /**
- * Gets the target specifiers for the current operating system and architecture.
+ * Gets the target specifiers for the current operating system and architecture, or for an
+ * `<arch>-<os>` target such as `aarch64-macos`, the form used as platform keys in index.json.
+ * @param {string} [target] - The target to parse. Defaults to the host.
  * @returns {{os_target: string, arch_target: string}}
+ * @throws {UsageError} If the target is not a platform Zig is published for.
  */
-function getPlatformInfo() {
-  const platformMap = { "linux": "linux", "darwin": "macos", "win32": "windows" };
-  const archMap = { "x64": "x86_64", "arm64": "aarch64" };
+function getPlatformInfo(target) {
+  if (target) {
+    const [, arch_target, os_target] = /^([a-z0-9_]+)-([a-z]+)$/.exec(target) || [];
+    if (!ZIG_ARCHES.includes(arch_target) || !ZIG_OSES.includes(os_target)) {
+      throw new UsageError(`Unknown target "${target}". Use <arch>-<os>, where arch is one of ${ZIG_ARCHES.join(', ')} and os is one of ${ZIG_OSES.join(', ')}.`);
+    }
+    return { os_target, arch_target };
+  }
+
   const platform = os.platform();
   const arch = os.arch();
-  const os_target = platformMap[platform];
-  const arch_target = archMap[arch];
-  if (!os_target || !arch_target) throw new Error(`Unsupported platform/architecture: ${platform}/${arch}`);
+  const os_target = HOST_OS_MAP[platform];
+  // Node reports both byte orders of 64-bit POWER as ppc64.
+  const arch_target = arch === 'ppc64' && os.endianness() === 'LE' ? 'powerpc64le' : HOST_ARCH_MAP[arch];
+  if (!os_target || !arch_target) throw new ZvmError(`Unsupported platform/architecture: ${platform}/${arch}`);
   return { os_target, arch_target };
 }
 
 /**
- * Reads aliases from the aliases file.
- * @returns {Promise<Object.<string, string>>}
+ * Returns the `<arch>-<os>` key of a platform, as used in index.json.
+ * @param {{os_target: string, arch_target: string}} platform - The result of getPlatformInfo.
+ * @returns {string}
  */
-async function getAliases() {
-  try {
-    const content = await fs.readFile(ALIASES_FILE, 'utf-8');
-    return JSON.parse(content);
-  } catch (e) {
-    if (e.code === 'ENOENT') return {}; // No aliases file yet
-    throw e;
-  }
+function getPlatformKey({ os_target, arch_target }) {
+  return `${arch_target}-${os_target}`;
 }
 
 /**
- * Resolves a version string or alias to a full installed directory name.
- * @param {string} versionOrAlias - The user-provided version string or alias.
- * @returns {Promise<string|null>} The full directory name or null if not found.
+ * Extracts the platform from an install directory name. Archives name it either
+ * `<arch>-<os>` (newer releases) or `<os>-<arch>` (older ones).
+ * @param {string} dir - The directory name, e.g. `zig-x86_64-linux-0.14.1`.
+ * @returns {string|null} The `<arch>-<os>` key, or null if the name has no platform.
  */
-async function resolveVersion(versionOrAlias) {
-  if (!versionOrAlias) return null;
-  const aliases = await getAliases();
-  const targetVersion = aliases[versionOrAlias] || versionOrAlias;
-
-  try {
-    const dirs = await fs.readdir(INSTALL_BASE_DIR);
-    // Find a directory that uniquely contains the version string.
-    const matchingDirs = dirs.filter(dir => dir.includes(targetVersion));
-    if (matchingDirs.length === 1) return matchingDirs[0];
-    // If multiple match, prefer an exact match
-    if (matchingDirs.includes(targetVersion)) return targetVersion;
-    return matchingDirs[0] || null; // Fallback to the first partial match
-  } catch (e) {
-    if (e.code === 'ENOENT') return null;
-    throw e;
-  }
+function getDirPlatform(dir) {
+  const match = /^zig-([a-z0-9_]+)-([a-z0-9_]+)-\d/.exec(dir);
+  if (!match) return null;
+  const [, first, second] = match;
+  return ZIG_OSES.includes(first) ? `${second}-${first}` : `${first}-${second}`;
 }
 
-
 /**
- * Lists all available Zig versions for the current platform from the official JSON index.
+ * Reads the version and platform from the name of an official Zig archive.
+ * @param {string} file - The archive's path, e.g. `downloads/zig-x86_64-linux-0.14.1.tar.xz`.
+ * @returns {{version: string, platform: string|null}|null} Null if the name isn't a Zig archive's.
  */
-async function handleListRemote() {
-  logInfo("Fetching available Zig versions...");
-  const response = await fetch(ZIG_INDEX_URL);
-  if (!response.ok) throw new Error(`Failed to fetch Zig index: ${response.statusText}`);
-  const index = await response.json();
-
-  const { os_target, arch_target } = getPlatformInfo();
-  const platformKey = `${arch_target}-${os_target}`;
-
-  log("\n--- Available Zig Versions ---");
-  log(`${colors.yellow}Stable Releases:${colors.reset}`);
-  Object.keys(index)
-    .filter(v => v !== 'master' && !v.includes('-dev'))
-    .forEach(version => {
-      if (index[version]?.[platformKey]) {
-        log(`  - ${version}`);
-      }
-    });
-
-  log(`\n${colors.yellow}Latest Development Build:${colors.reset}`);
-  if (index.master?.[platformKey]) {
-    log(`  - ${index.master.version}`);
-  } else {
-    log("  (Not available for this platform)");
-  }
+function parseArchiveName(file) {
+  const match = /^(zig-.+)\.(tar\.xz|zip)$/.exec(path.basename(file));
+  const version = match && getDirVersion(match[1]);
+  return version ? { version, platform: getDirPlatform(match[1]) } : null;
 }
 
 /**
- * Lists all locally installed Zig versions, indicating the active one and any aliases.
+ * Converts a setting from config.json, the environment or the command line to its type.
+ * Strings are parsed, so `true`, `5000` and comma-separated lists work everywhere.
+ * @param {string} key - The setting name, a key of CONFIG_OPTIONS.
+ * @param {*} value - The raw value.
+ * @returns {*} The typed value; null for an empty string.
+ * @throws {UsageError} If the setting is unknown or the value is invalid.
  */
-async function handleList() {
-  logInfo(`Installed Zig versions in ${INSTALL_BASE_DIR}:`);
-  try {
-    let activeVersionDir = null;
-    try {
-      const linkTarget = await fs.readlink(ACTIVE_VERSION_LINK);
-      activeVersionDir = path.basename(linkTarget);
-    } catch (e) { /* no active version */ }
-
-    const aliases = await getAliases();
-    const reverseAliases = Object.entries(aliases).reduce((acc, [alias, versionDir]) => {
-      acc[versionDir] = acc[versionDir] ? [...acc[versionDir], alias] : [alias];
-      return acc;
-    }, {});
-
-    const dirs = await fs.readdir(INSTALL_BASE_DIR);
-    const zigDirs = dirs.filter(dir => dir.startsWith('zig-'));
+function parseConfigValue(key, value) {
+  const option = CONFIG_OPTIONS[key];
+  if (!option) {
+    throw new UsageError(`Unknown setting "${key}". Available settings: ${Object.keys(CONFIG_OPTIONS).join(', ')}.`);
+  }
+  if (value === null || value === '') return ['list', 'urls', 'sources'].includes(option.type) ? [] : null;
 
-    if (zigDirs.length === 0) {
-      log("  (No versions installed yet)");
-    } else {
-      zigDirs.forEach(dir => {
-        const isActive = dir === activeVersionDir;
-        const aliasText = reverseAliases[dir] ? `${colors.gray} (alias: ${reverseAliases[dir].join(', ')})` : '';
-        const prefix = isActive ? `${colors.green}-> ` : '   ';
-        log(`${prefix}${colors.cyan}${dir}${colors.reset}${aliasText}`);
-      });
+  const invalid = () => new UsageError(`Invalid value for ${key}: ${JSON.stringify(value)}.`);
+  const parseUrl = (url) => {
+    try {
+      return new URL(url).href.replace(/\/+$/, '');
+    } catch (e) {
+      throw invalid();
     }
-  } catch (e) {
-    if (e.code === 'ENOENT') {
-      log("  (No versions installed yet)");
-    } else {
-      throw e;
+  };
+  switch (option.type) {
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['true', '1', 'yes', 'on'].includes(String(value).toLowerCase())) return true;
+      if (['false', '0', 'no', 'off'].includes(String(value).toLowerCase())) return false;
+      throw invalid();
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) throw invalid();
+      return number;
+    }
+    case 'list':
+    case 'urls':
+    case 'sources': {
+      const items = (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+      if (option.type === 'urls') return items.map(parseUrl);
+      if (option.type === 'list') return items;
+      return items.map(item => {
+        const [, name, url] = /^([a-z0-9][a-z0-9-]*)=(.+)$/.exec(item) || [];
+        if (!name || name === DEFAULT_SOURCE) throw invalid();
+        return `${name}=${parseUrl(url)}`;
+      });
     }
+    case 'url':
+      return parseUrl(String(value));
+    default:
+      return String(value);
   }
 }
 
+const ZIG_VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-dev\.(\d+)\+([0-9a-f]+))?$/;
+const LATEST_KEYWORDS = ['latest', 'stable'];
+const MASTER_KEYWORDS = ['master', 'nightly'];
+
 /**
- * Removes a specific installed version of Zig and cleans up aliases.
- * @param {string} versionToRemove - The version string or alias to remove.
+ * Parses a full Zig version such as `0.14.1` or `0.15.0-dev.1175+e4abdf5a1`.
+ * @param {string} version - The version string.
+ * @returns {{major: number, minor: number, patch: number, dev: number|null}|null} Null if not a full version.
  */
-async function handleRemove(versionToRemove) {
-  if (!versionToRemove) {
-    logError("Please specify which version to remove.");
-    return;
-  }
-  try {
-    const dirToRemove = await resolveVersion(versionToRemove);
+function parseZigVersion(version) {
+  const match = ZIG_VERSION_PATTERN.exec(version);
+  if (!match) return null;
+  const [, major, minor, patch, dev] = match;
+  return { major: Number(major), minor: Number(minor), patch: Number(patch), dev: dev === undefined ? null : Number(dev) };
+}
 
-    if (!dirToRemove) {
-      logError(`Version "${versionToRemove}" not found.`);
-      return;
-    }
+/**
+ * Compares two full Zig versions in semver order, where a dev build sorts before its release.
+ * @param {string} a - A full version string.
+ * @param {string} b - A full version string.
+ * @returns {number} Negative if a < b, positive if a > b, zero if equal.
+ */
+function compareZigVersions(a, b) {
+  const va = parseZigVersion(a);
+  const vb = parseZigVersion(b);
+  return (va.major - vb.major) || (va.minor - vb.minor) || (va.patch - vb.patch)
+    || ((va.dev ?? Infinity) - (vb.dev ?? Infinity) || 0);
+}
 
-    // Check if the version to be removed is currently active.
-    let isActive = false;
-    try {
-      const linkTarget = await fs.readlink(ACTIVE_VERSION_LINK);
-      if (path.basename(linkTarget) === dirToRemove) {
-        isActive = true;
-      }
-    } catch (e) { /* not active, ignore */ }
+/**
+ * Extracts the Zig version from an install directory name like `zig-x86_64-linux-0.14.1`.
+ * @param {string} dir - The directory name.
+ * @returns {string|null}
+ */
+function getDirVersion(dir) {
+  const match = /-(\d+\.\d+\.\d+(?:-dev\.\d+\+[0-9a-f]+)?)$/.exec(dir);
+  return match ? match[1] : null;
+}
 
-    if (isActive) {
-      logInfo(`Version ${dirToRemove} is currently active. Deactivating it first...`);
-      await handleDeactivate();
-    }
+/**
+ * Picks the version a spec refers to from a list of full versions.
+ * `latest`/`stable` select the newest release, `master`/`nightly` the newest dev build,
+ * a full version must match exactly, and a partial version like `0.14` selects the newest
+ * matching release (or dev build, if no release matches). A dev build without its commit
+ * hash, like `0.15.0-dev.1175`, selects the newest build with that number.
+ * @param {string} spec - The requested version.
+ * @param {string[]} versions - The candidate versions.
+ * @returns {string|null}
+ */
+function selectVersion(spec, versions) {
+  const newest = (list) => list.sort(compareZigVersions).at(-1) || null;
+  const releases = versions.filter(v => parseZigVersion(v).dev === null);
+  const devBuilds = versions.filter(v => parseZigVersion(v).dev !== null);
 
-    // Remove the version directory
-    const fullPath = path.join(INSTALL_BASE_DIR, dirToRemove);
-    logInfo(`Removing ${fullPath}...`);
-    await fs.rm(fullPath, { recursive: true, force: true });
-    logSuccess(`Successfully removed ${dirToRemove}.`);
+  if (LATEST_KEYWORDS.includes(spec)) return newest(releases);
+  if (MASTER_KEYWORDS.includes(spec)) return newest(devBuilds);
+  if (parseZigVersion(spec)) return versions.includes(spec) ? spec : null;
+  if (!/^\d+(\.\d+){0,2}(-dev(\.\d+)?)?$/.test(spec)) return null;
 
-    // Clean up any aliases pointing to the removed version
-    const aliases = await getAliases();
-    const cleanedAliases = {};
-    const removedAliases = [];
-    for (const [alias, versionDir] of Object.entries(aliases)) {
-      if (versionDir !== dirToRemove) {
-        cleanedAliases[alias] = versionDir;
-      } else {
-        removedAliases.push(alias);
-      }
-    }
+  const matches = (v) => v.startsWith(`${spec}.`) || v.startsWith(`${spec}-`) || v.startsWith(`${spec}+`);
+  return newest(releases.filter(matches)) || newest(devBuilds.filter(matches));
+}
 
-    if (removedAliases.length > 0) {
-      await fs.writeFile(ALIASES_FILE, JSON.stringify(cleanedAliases, null, 2));
-      logInfo(`Removed associated aliases: ${removedAliases.join(', ')}`);
-    }
+/**
+ * Checks whether a version satisfies a `.minimum_zig_version` requirement.
+ * @param {string} version - A full version string.
+ * @param {string} minimum - The minimum full version.
+ * @returns {boolean}
+ */
+function satisfiesMinimum(version, minimum) {
+  if (!parseZigVersion(minimum)) throw new UsageError(`Invalid minimum_zig_version "${minimum}".`);
+  return compareZigVersions(version, minimum) >= 0;
+}
 
-  } catch (e) {
-    if (e.code === 'ENOENT') {
-      logError("No versions installed.");
-    } else {
-      throw e;
-    }
-  }
+/**
+ * Finds the newest version in the Zig index that satisfies a minimum, preferring releases.
+ * @param {string} minimum - The minimum full version.
+ * @param {Object|null} index - The parsed Zig download index.
+ * @returns {string}
+ * @throws {VersionNotFoundError} If no listed version satisfies the minimum.
+ */
+function resolveRemoteMinimum(minimum, index) {
+  if (!index) throw new ZvmError(`Cannot find a version satisfying ${minimum} without the Zig index.`);
+  const releases = Object.keys(index).filter(v => parseZigVersion(v) && satisfiesMinimum(v, minimum));
+  const version = selectVersion('latest', releases)
+    || (index.master?.version && satisfiesMinimum(index.master.version, minimum) ? index.master.version : null);
+  if (!version) throw new VersionNotFoundError(`No Zig version in the index satisfies the minimum ${minimum}.`);
+  return version;
+}
+
+/**
+ * Resolves a version spec to a concrete version that can be downloaded, using the Zig index.
+ * Full versions are accepted as-is, since the index only lists the latest dev build.
+ * @param {string} spec - The requested version, keyword or partial version.
+ * @param {Object|null} index - The parsed Zig download index, if it could be fetched.
+ * @returns {string}
+ * @throws {VersionNotFoundError} If the spec cannot be resolved.
+ */
+function resolveRemoteVersion(spec, index) {
+  if (parseZigVersion(spec)) return spec;
+  if (!index) throw new ZvmError(`Cannot resolve "${spec}" without the Zig index.`);
+
+  const releases = Object.keys(index).filter(v => parseZigVersion(v));
+  const devBuild = index.master?.version;
+  const candidates = devBuild ? [...releases, devBuild] : releases;
+  const version = selectVersion(spec, candidates);
+  if (!version) throw new VersionNotFoundError(`No Zig version matching "${spec}" was found in the index.`);
+  return version;
 }
 
+
 /**
  * Generates potential package filenames and the canonical download URL for a given Zig version.
  * @param {string} zigVersion - The version of Zig to install.
+ * @param {string} [canonicalUrl] - The download server, laid out like ziglang.org.
+ * @param {string} [target] - The `<arch>-<os>` platform to download for. Defaults to the host.
  * @returns {{canonicalUrl: string, potentialFilenames: string[]}}
  */
-function getZigPackageInfo(zigVersion) {
-  const { os_target, arch_target } = getPlatformInfo();
+function getZigPackageInfo(zigVersion, canonicalUrl = ZIG_CANONICAL_URL, target) {
+  const { os_target, arch_target } = getPlatformInfo(target);
   const isWindows = os_target === 'windows';
   const extension = isWindows ? 'zip' : 'tar.xz';
 
@@ -266,396 +439,5532 @@ function getZigPackageInfo(zigVersion) {
   ];
 
   const canonicalBase = isDevBuild
-    ? `${ZIG_CANONICAL_URL}/builds`
-    : `${ZIG_CANONICAL_URL}/download/${zigVersion}`;
+    ? `${canonicalUrl}/builds`
+    : `${canonicalUrl}/download/${zigVersion}`;
 
   return { canonicalUrl: canonicalBase, potentialFilenames };
 }
 
 /**
- * Attempts to download a file from multiple sources in serial order using native fetch.
- * @param {string[]} baseUrls - An array of base URLs (mirrors) to try.
- * @param {string[]} filenames - An array of potential filenames to try.
- * @returns {Promise<{downloadedFile: string}>} The temporary path of the downloaded file.
+ * Looks up the SHA-256 of a version's archive for the current platform in the Zig index.
+ * Only the latest development build is listed, so older dev builds have no known hash.
+ * @param {Object} index - The parsed Zig download index.
+ * @param {string} zigVersion - The version being installed.
+ * @param {string} [target] - The `<arch>-<os>` platform. Defaults to the host.
+ * @returns {string|null}
  */
-async function attemptDownload(baseUrls, filenames) {
-  const tempFile = path.join(os.tmpdir(), `zig-download-${Date.now()}`);
-
-  for (const baseUrl of baseUrls) {
-    for (const filename of filenames) {
-      const url = `${baseUrl}/${filename}`;
-      try {
-        const headResponse = await fetch(url, { method: 'HEAD' });
-        if (!headResponse.ok) continue;
-
-        logInfo(`  Attempting download from: ${url}`);
-        const getResponse = await fetch(url);
-        if (!getResponse.ok) continue;
-
-        await fs.writeFile(tempFile, getResponse.body);
-        logSuccess(`Download successful from: ${url}`);
-        return { downloadedFile: tempFile };
-      } catch (e) {
-        logWarn(`Failed to process URL ${url}. Error: ${e.message}. Trying next...`);
-      }
-    }
-  }
-  throw new Error("Failed to download Zig from all available mirrors and the canonical source.");
+function getIndexShasum(index, zigVersion, target) {
+  const platformKey = getPlatformKey(getPlatformInfo(target));
+  const release = index.master?.version === zigVersion ? index.master : index[zigVersion];
+  return release?.[platformKey]?.shasum || null;
 }
 
 /**
- * Helper function to rename a directory with retries on Windows.
- * This helps prevent EPERM errors from antivirus scans.
- * @param {string} oldPath - The original path.
- * @param {string} newPath - The new path.
+ * Finds an entry in a version index by its key, like `mach-latest`, or by the Zig version it lists.
+ * @param {Object} index - The parsed index.
+ * @param {string} spec - The key or full version.
+ * @returns {{key: string, version: string, release: Object}|null}
  */
-async function renameWithRetry(oldPath, newPath) {
-  const retries = 5;
-  const delay = 300; // ms
-  for (let i = 0; i < retries; i++) {
-    try {
-      await fs.rename(oldPath, newPath);
-      return; // Success
-    } catch (e) {
-      if (e.code === 'EPERM' && i < retries - 1) {
-        logWarn(`Rename failed, retrying in ${delay}ms... (${i + 1}/${retries})`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        throw e; // Rethrow on final attempt or different error
-      }
-    }
-  }
+function findIndexRelease(index, spec) {
+  const entries = Object.entries(index).filter(([, release]) => release && typeof release === 'object');
+  const match = entries.find(([key]) => key === spec) || entries.find(([key, release]) => (release.version || key) === spec);
+  return match ? { key: match[0], version: match[1].version || match[0], release: match[1] } : null;
 }
 
-
 /**
- * Installs a specific version of Zig.
- * @param {string} zigVersion - The version string to install.
- * @param {string|null} alias - An optional alias to assign after installation.
+ * Verifies a prehashed minisign signature against the Zig Software Foundation public key.
+ * The trusted comment must also name the file, so a valid signature for another
+ * archive (e.g. an older, vulnerable version) cannot be substituted.
+ * @param {Buffer} digest - The BLAKE2b-512 digest of the signed file.
+ * @param {string} signatureText - The contents of the `.minisig` file.
+ * @param {string} filename - The file name the signature must have been made for.
+ * @param {string} [trustedKey] - The minisign public key, base64-encoded.
+ * @throws {VerificationError} If the signature does not check out.
  */
-async function handleInstall(zigVersion, alias) {
-  if (!zigVersion) {
-    logError("Please specify which version to install.");
-    return;
+function verifyMinisign(digest, signatureText, filename, trustedKey = ZSF_MINISIGN_PUBLIC_KEY) {
+  const publicKey = Buffer.from(trustedKey, 'base64');
+  const [, signatureLine, trustedLine, globalSignatureLine] = signatureText.trim().split(/\r?\n/);
+  const signature = Buffer.from(signatureLine || '', 'base64');
+  if (signature.length !== 74 || !trustedLine?.startsWith('trusted comment: ') || !globalSignatureLine) {
+    throw new VerificationError("Malformed signature file");
   }
-
-  if (alias) {
-    const aliases = await getAliases();
-    if (aliases[alias]) {
-      logError(`Alias "${alias}" is already in use for ${aliases[alias]}. Please choose another name or unset it first.`);
-      return;
-    }
+  if (signature.subarray(0, 2).toString() !== 'ED') {
+    throw new VerificationError(`Unsupported signature algorithm "${signature.subarray(0, 2).toString()}"`);
   }
-
-  logInfo(`[1/4] Target Zig version: ${zigVersion}`);
-
-  // 1. Determine package info by constructing URLs
-  const { canonicalUrl, potentialFilenames } = getZigPackageInfo(zigVersion);
-  logInfo(`[2/4] Determined potential packages: ${potentialFilenames.join(', ')}`);
-
-  // 2. Fetch mirrors and attempt download
-  logInfo("[3/4] Fetching mirrors and downloading Zig archive...");
-  let mirrors = [];
-  try {
-    const response = await fetch(MIRRORS_URL);
-    if (response.ok) {
-      mirrors = (await response.text()).split('\n').filter(url => url.startsWith("https://"));
-      logInfo(`  Found ${mirrors.length} community mirrors.`);
-    }
-  } catch (e) {
-    logWarn("Could not fetch community mirrors. Will use the official URL as a fallback.");
+  if (!signature.subarray(2, 10).equals(publicKey.subarray(2, 10))) {
+    throw new VerificationError(trustedKey === ZSF_MINISIGN_PUBLIC_KEY
+      ? "Signature was not made with the Zig Software Foundation key"
+      : "Signature was not made with the trusted key");
   }
 
-  // Priortize download from mirrors first
-  const downloadBaseUrls = [...mirrors, canonicalUrl];
-  const { downloadedFile } = await attemptDownload(downloadBaseUrls, potentialFilenames);
-
-  // 3. Extract the archive atomically
-  logInfo(`[4/4] Installing...`);
-  const { stdout: tarOutput } = await runCommand('tar', ['-tf', downloadedFile]);
-  const unpackedDirName = tarOutput.split('\n')[0].trim().replace(/\/$/, "");
-  const finalInstallPath = path.join(INSTALL_BASE_DIR, unpackedDirName);
-  const tempInstallPath = `${finalInstallPath}.tmp`;
-
-  // Check if it's already installed.
-  try {
-    await fs.access(finalInstallPath);
-    logError(`Zig version already installed at ${finalInstallPath}`);
-    await fs.unlink(downloadedFile);
-    return;
-  } catch (e) { /* Expected */ }
-
-  await fs.mkdir(tempInstallPath, { recursive: true });
-  await runCommand('tar', ['-xf', downloadedFile, '--strip-components=1', '-C', tempInstallPath]);
-
-  // Use the new rename function with retries
-  await renameWithRetry(tempInstallPath, finalInstallPath);
-
-  await fs.unlink(downloadedFile);
-
-  if (alias) {
-    await handleAlias(alias, unpackedDirName);
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey.subarray(10)]),
+    format: 'der',
+    type: 'spki',
+  });
+  if (!crypto.verify(null, digest, key, signature.subarray(10))) {
+    throw new VerificationError("Signature verification failed");
   }
 
-  logSuccess(`Zig version ${zigVersion} is installed at: ${finalInstallPath}`);
-  log("\nTo use it, run:");
-  log(`  zvm use ${alias || zigVersion}`);
+  const trustedComment = trustedLine.slice('trusted comment: '.length);
+  const signedComment = Buffer.concat([signature.subarray(10), Buffer.from(trustedComment)]);
+  if (!crypto.verify(null, signedComment, key, Buffer.from(globalSignatureLine, 'base64'))) {
+    throw new VerificationError("Trusted comment verification failed");
+  }
+  if (!trustedComment.split(/\s+/).includes(`file:${filename}`)) {
+    throw new VerificationError(`Signature is not for ${filename}`);
+  }
 }
 
 /**
- * Deactivates any active version by removing the symlink.
+ * Computes the SHA-256 and BLAKE2b-512 digests of a file without reading it into memory.
+ * @param {string} filePath - The file to hash.
+ * @returns {Promise<{sha256: string, blake2b: Buffer}>}
  */
-async function handleDeactivate() {
-  try {
-    await fs.unlink(ACTIVE_VERSION_LINK);
-    logSuccess("Deactivated Zig. No version is currently active.");
-    if (process.env.ZVM_INITIALIZED !== 'true') {
-      logWarn("\nRun 'zvm init' and follow its instructions to apply this change to your shell.");
-    }
-  } catch (e) {
-    if (e.code === 'ENOENT') {
-      logInfo("No version is currently active.");
-    } else {
-      logError(`Error during deactivation: ${e.message}`);
-      throw e;
-    }
-  }
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const sha256 = crypto.createHash('sha256');
+    const blake2b = crypto.createHash('blake2b512');
+    createReadStream(filePath)
+      .on('data', (chunk) => { sha256.update(chunk); blake2b.update(chunk); })
+      .on('end', () => resolve({ sha256: sha256.digest('hex'), blake2b: blake2b.digest() }))
+      .on('error', reject);
+  });
 }
 
 /**
- * Looks for a .zig-version file and returns its content.
- * @returns {Promise<string|null>}
+ * Checks an archive against the index shasum (when known) and its minisign signature.
+ * @param {string} filePath - The archive on disk.
+ * @param {string} signatureText - The contents of the `.minisig` file.
+ * @param {string} filename - The archive file name.
+ * @param {string|null} expectedShasum - The SHA-256 from the Zig index, if available.
+ * @param {string} [trustedKey] - The minisign public key. Defaults to the Zig Software Foundation's.
+ * @returns {Promise<string>} The SHA-256 of the archive.
+ * @throws {VerificationError} If either check fails.
  */
-async function findLocalVersionFile() {
-  let currentDir = process.cwd();
-  while (true) {
-    const filePath = path.join(currentDir, '.zig-version');
-    try {
-      const content = await fs.readFile(filePath, 'utf-8');
-      return content.trim();
-    } catch (e) {
-      if (e.code !== 'ENOENT') throw e;
-    }
-    const parentDir = path.dirname(currentDir);
-    if (parentDir === currentDir) return null; // Reached root
-    currentDir = parentDir;
+async function verifyArchive(filePath, signatureText, filename, expectedShasum, trustedKey = ZSF_MINISIGN_PUBLIC_KEY) {
+  const { sha256, blake2b } = await hashFile(filePath);
+  if (expectedShasum && sha256 !== expectedShasum) {
+    throw new VerificationError(`SHA-256 mismatch (expected ${expectedShasum}, got ${sha256})`);
   }
+  verifyMinisign(blake2b, signatureText, filename, trustedKey);
+  return sha256;
 }
 
 /**
- * Sets a version as the active one by creating a symlink.
- * @param {string} versionToUse - The version or alias to activate.
+ * Picks the proxy for a URL: the configured one, else HTTPS_PROXY or HTTP_PROXY depending on
+ * the URL's scheme. Hosts listed in noProxy (or NO_PROXY), and their subdomains, bypass it.
+ * @param {string} url - The URL about to be fetched.
+ * @param {string|null} proxy - The configured proxy.
+ * @param {string[]} noProxy - The configured hosts to bypass the proxy for.
+ * @returns {string|null}
  */
-async function handleUse(versionToUse) {
-  let target = versionToUse;
-  if (!target) {
-    target = await findLocalVersionFile();
-    if (!target) {
-      logError("No version specified and no .zig-version file found in the current directory or parents.");
-      return;
-    }
-    logInfo(`Found .zig-version file, attempting to use: ${target}`);
-  }
-
-  const dirToActivate = await resolveVersion(target);
-  if (!dirToActivate) {
-    logError(`Version "${target}" is not installed.`);
-    logInfo(`To install it, run: zvm install ${target}`);
-    return;
-  }
-
-  const sourceDir = path.join(INSTALL_BASE_DIR, dirToActivate);
-
-  try { await fs.unlink(ACTIVE_VERSION_LINK); } catch (e) { if (e.code !== 'ENOENT') throw e; }
+function getProxyForUrl(url, proxy, noProxy) {
+  const { protocol, hostname } = new URL(url);
+  const env = process.env;
+  const proxyUrl = proxy || (protocol === 'https:' ? env.HTTPS_PROXY || env.https_proxy : env.HTTP_PROXY || env.http_proxy);
+  if (!proxyUrl) return null;
 
-  logInfo(`Activating ${dirToActivate}...`);
-  const linkType = os.platform() === 'win32' ? 'junction' : 'dir';
-  await fs.symlink(sourceDir, ACTIVE_VERSION_LINK, linkType);
-
-  logSuccess(`Now using ${dirToActivate}.`);
-  if (process.env.ZVM_INITIALIZED !== 'true') {
-    logWarn("\nRun 'zvm init' and follow its instructions to apply this change to your shell.");
-  }
+  const bypass = noProxy.length > 0 ? noProxy : (env.NO_PROXY || env.no_proxy || '').split(',');
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const bypassed = bypass.some(entry => {
+    const domain = entry.trim().toLowerCase().replace(/:\d+$/, '').replace(/^\*?\./, '');
+    return domain === '*' || (domain && (host === domain || host.endsWith(`.${domain}`)));
+  });
+  return bypassed ? null : proxyUrl;
 }
 
 /**
- * Manages version aliases.
- * @param {string} alias - The alias name.
- * @param {string} version - The version to associate with the alias.
+ * Fetches a URL through an HTTP proxy using Node's http modules, as Node's fetch has no proxy
+ * option. HTTPS requests are tunneled with CONNECT, and redirects are followed like fetch does.
+ * @param {string} url - The URL to fetch.
+ * @param {RequestInit} options - Only method, headers and signal are supported.
+ * @param {string} proxy - The proxy URL, optionally with credentials.
+ * @param {number} [redirects] - Redirects followed so far.
+ * @returns {Promise<Response>}
  */
-async function handleAlias(alias, version) {
-  if (!alias) {
-    logError("Usage: zvm alias <name> <version> OR zvm alias --unset <name>");
-    return;
-  }
-
-  const aliases = await getAliases();
+async function fetchThroughProxy(url, options, proxy, redirects = 0) {
+  const target = new URL(url);
+  const proxyUrl = new URL(proxy);
+  const proxyModule = proxyUrl.protocol === 'https:' ? https : http;
+  const proxyRequest = {
+    host: proxyUrl.hostname,
+    port: proxyUrl.port || (proxyUrl.protocol === 'https:' ? 443 : 80),
+    signal: options.signal,
+  };
+  const proxyHeaders = proxyUrl.username
+    ? { 'proxy-authorization': `Basic ${Buffer.from(`${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`).toString('base64')}` }
+    : {};
+  const method = options.method || 'GET';
+  const headers = { ...options.headers, host: target.host };
 
-  if (version === '--unset') {
-    if (aliases[alias]) {
-      delete aliases[alias];
-      await fs.writeFile(ALIASES_FILE, JSON.stringify(aliases, null, 2));
-      logSuccess(`Unset alias "${alias}".`);
-    } else {
-      logError(`Alias "${alias}" not found.`);
+  const response = await new Promise((resolve, reject) => {
+    if (target.protocol === 'http:') {
+      // Plain HTTP is sent to the proxy with the full URL as the path.
+      proxyModule.request({ ...proxyRequest, method, path: target.href, headers: { ...headers, ...proxyHeaders } }, resolve)
+        .on('error', reject)
+        .end();
+      return;
     }
-    return;
-  }
 
-  if (!version) {
-    logError("Please specify a version for the alias.");
-    return;
-  }
+    const authority = `${target.hostname}:${target.port || 443}`;
+    proxyModule.request({ ...proxyRequest, method: 'CONNECT', path: authority, headers: { host: authority, ...proxyHeaders } })
+      .on('connect', (res, socket) => {
+        if (res.statusCode !== 200) {
+          socket.destroy();
+          reject(new Error(`Proxy refused to connect to ${target.host}: ${res.statusCode} ${res.statusMessage}`));
+          return;
+        }
+        https.request({
+          host: target.hostname,
+          method,
+          path: `${target.pathname}${target.search}`,
+          headers,
+          signal: options.signal,
+          createConnection: () => tls.connect({ socket, servername: target.hostname }),
+        }, resolve)
+          .on('error', reject)
+          .end();
+      })
+      .on('error', reject)
+      .end();
+  });
 
-  const dirToAlias = await resolveVersion(version);
-  if (!dirToAlias) {
-    logError(`Version "${version}" not found.`);
-    return;
+  const location = response.headers.location;
+  if ([301, 302, 303, 307, 308].includes(response.statusCode) && location) {
+    response.resume();
+    if (redirects >= 20) throw new Error(`Too many redirects for ${url}`);
+    const redirectOptions = response.statusCode === 303 ? { ...options, method: 'GET' } : options;
+    return fetchThroughProxy(new URL(location, target).href, redirectOptions, proxy, redirects + 1);
   }
 
-  aliases[alias] = dirToAlias;
-  await fs.writeFile(ALIASES_FILE, JSON.stringify(aliases, null, 2));
-  logSuccess(`"${alias}" is now an alias for ${dirToAlias}.`);
+  const hasBody = method !== 'HEAD' && ![204, 205, 304].includes(response.statusCode);
+  if (!hasBody) response.resume();
+  return new Response(hasBody ? Readable.toWeb(response) : null, {
+    status: response.statusCode,
+    statusText: response.statusMessage,
+    headers: Object.entries(response.headers)
+      .flatMap(([name, value]) => (Array.isArray(value) ? value.map(v => [name, v]) : [[name, value]])),
+  });
+}
+
+/**
+ * Wraps a response so that reading its body fails once no data has arrived for `timeout` ms.
+ * @param {Response} response - The response.
+ * @param {number} timeout - The longest wait for the next chunk, in milliseconds.
+ * @param {function(): void} onIdle - Called when the body stalls, to abort the request.
+ * @param {string} host - The server's host, for the error message.
+ * @returns {Response}
+ */
+function withIdleTimeout(response, timeout, onIdle, host) {
+  if (!response.body) return response;
+  const reader = response.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      let timer;
+      const stalled = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${host} sent no data for ${timeout}ms`)), timeout);
+      });
+      try {
+        const { value, done } = await Promise.race([reader.read(), stalled]);
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (e) {
+        onIdle();
+        reader.cancel(e).catch(() => {});
+        controller.error(e);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
 }
 
 /**
- * Displays the currently active Zig version.
+ * Calls fetch, aborting the request if no response arrives within the given timeout, or if
+ * the body then stops arriving for as long. Large downloads are not cut off, as long as
+ * data keeps coming.
+ * @param {string} url - The URL to fetch.
+ * @param {RequestInit} options - Options passed through to fetch.
+ * @param {number} timeout - The timeout in milliseconds.
+ * @param {string|null} [proxy] - The proxy to send the request through.
+ * @returns {Promise<Response>}
  */
-async function handleCurrent() {
+async function fetchWithTimeout(url, options, timeout, proxy = null) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const init = { ...options, signal: controller.signal };
+  let response;
   try {
-    const linkTarget = await fs.readlink(ACTIVE_VERSION_LINK);
-    const activeVersionDir = path.basename(linkTarget);
-    const zigExePath = path.join(linkTarget, 'zig');
-    const { stdout } = await runCommand(`"${zigExePath}"`, ['version']);
-    log(`${colors.green}Active version:${colors.reset} ${stdout.trim()} (${activeVersionDir})`);
-    log(`${colors.gray}Path: ${linkTarget}${colors.reset}`);
-  } catch (e) {
-    if (e.code === 'ENOENT') {
-      logInfo("No version is currently active.");
+    if (!proxy) response = await fetch(url, init);
+    else if (typeof Bun !== 'undefined') response = await fetch(url, { ...init, proxy });
+    else if (typeof Deno !== 'undefined' && Deno.createHttpClient) {
+      response = await fetch(url, { ...init, client: Deno.createHttpClient({ proxy: { url: proxy } }) });
     } else {
-      logError(`Could not determine current version: ${e.message}`);
+      response = await fetchThroughProxy(url, init, proxy);
     }
+  } catch (e) {
+    if (controller.signal.aborted) throw new Error(`No response from ${new URL(url).host} within ${timeout}ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
   }
+  return withIdleTimeout(response, timeout, () => controller.abort(), new URL(url).host);
 }
 
 /**
- * Generates shell setup scripts and provides instructions.
+ * Returns the times a mirror failed within the last MIRROR_RANKING_TTL. Older failures are
+ * forgotten, so a mirror that was down for a while ranks normally again once it is back.
+ * Rankings saved before failure times were kept only have a count, which has expired by now.
+ * @param {Object|undefined} mirror - The mirror's entry in the mirror state.
+ * @param {number} [now] - The current time.
+ * @returns {number[]}
  */
-async function handleInit() {
-  logInfo("Configuring your shell for zvm...");
-  await fs.mkdir(SHIMS_DIR, { recursive: true });
+function getRecentFailures(mirror, now = Date.now()) {
+  return (mirror?.failedAt || []).filter(time => now - time <= MIRROR_RANKING_TTL);
+}
 
-  if (os.platform() === 'win32') {
-    const psScriptContent = `
-# zvm shell setup
-$env:ZVM_DIR = "${ZVM_DIR}"
-$env:PATH = "${path.join(SHIMS_DIR, 'active')};" + $env:PATH
-$env:ZVM_INITIALIZED = "true"
-`;
-    await fs.writeFile(path.join(ZVM_DIR, 'zvm.ps1'), psScriptContent);
-    log("\n--- PowerShell Setup ---");
-    log("1. Add the following line to your PowerShell profile (usually at $PROFILE):");
-    log(`   . "${path.join(ZVM_DIR, 'zvm.ps1')}"`);
-    log("2. Restart your shell.");
-  } else { // Linux and macOS
-    const shScriptContent = `#!/bin/sh
-# zvm shell setup
-export ZVM_DIR="${ZVM_DIR}"
-# The 'active' symlink points to the current version directory
-export PATH="${path.join(SHIMS_DIR, 'active')}:$PATH"
-export ZVM_INITIALIZED="true"
-`;
-    await fs.writeFile(path.join(ZVM_DIR, 'zvm.sh'), shScriptContent);
-    log("\n--- Setup for bash/zsh/etc. ---");
-    log("1. Add the following line to your shell's startup file (e.g., ~/.bashrc, ~/.zshrc):");
-    log(`   source "${path.join(ZVM_DIR, 'zvm.sh')}"`);
-    log("\n2. Restart your shell or run the command above in your current session to apply changes.");
-  }
+/**
+ * Orders mirrors for download: pinned mirrors first, then reachable mirrors by latency,
+ * then unreachable ones by recent failures. Excluded mirrors are left out.
+ * @param {Object} state - The mirror state.
+ * @returns {string[]}
+ */
+function rankMirrors(state) {
+  const pinned = state.pinned.filter(url => !state.excluded.includes(url));
+  const others = Object.entries(state.mirrors)
+    .filter(([url]) => !pinned.includes(url) && !state.excluded.includes(url))
+    .sort(([, a], [, b]) => {
+      if (a.ok !== b.ok) return a.ok ? -1 : 1;
+      if (a.ok && a.latency !== b.latency) return a.latency - b.latency;
+      return getRecentFailures(a).length - getRecentFailures(b).length;
+    })
+    .map(([url]) => url);
+  return [...pinned, ...others];
 }
 
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes - The number of bytes.
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KiB', 'MiB', 'GiB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
 
 /**
- * Main command router.
+ * Creates a progress bar showing bytes, speed and ETA. It only draws when enabled and stdout is a TTY.
+ * @param {number|null} total - The expected total size in bytes, if known.
+ * @param {number} initial - Bytes already present from a previous, resumed download.
+ * @param {boolean} [show] - Whether to draw at all.
+ * @returns {{update: function(number): void, done: function(): void}}
  */
-async function main() {
-  const args = process.argv.slice(2);
-  const command = args[0];
-  const positionalArgs = [];
-  const flags = {};
+function createProgressBar(total, initial, show = true) {
+  const enabled = show && process.stdout.isTTY;
+  const start = Date.now();
+  let received = initial;
+  let lastDraw = 0;
 
-  for (let i = 1; i < args.length; i++) {
-    if (args[i].startsWith('--')) {
-      flags[args[i].substring(2)] = args[i + 1];
-      i++;
+  const draw = () => {
+    const elapsed = (Date.now() - start) / 1000;
+    const speed = elapsed > 0 ? (received - initial) / elapsed : 0;
+    let line = `  ${formatBytes(received)}`;
+    if (total) {
+      const ratio = Math.min(received / total, 1);
+      const width = 30;
+      const filled = Math.round(ratio * width);
+      const eta = speed > 0 ? Math.ceil((total - received) / speed) : null;
+      line = `  [${'#'.repeat(filled)}${'-'.repeat(width - filled)}] ${formatBytes(received)} / ${formatBytes(total)}`;
+      line += `  ${formatBytes(speed)}/s  ETA ${eta === null ? '--' : `${eta}s`}`;
     } else {
-      positionalArgs.push(args[i]);
+      line += `  ${formatBytes(speed)}/s`;
     }
-  }
+    process.stdout.write(`\r${line}\x1b[K`);
+  };
 
-  const usage = () => {
+  return {
+    update(bytes) {
+      received += bytes;
+      if (enabled && Date.now() - lastDraw > 100) {
+        lastDraw = Date.now();
+        draw();
+      }
+    },
+    done() {
+      if (enabled) {
+        draw();
+        process.stdout.write('\n');
+      }
+    },
+  };
+}
+
+/**
+ * Helper function to rename a directory with retries on Windows.
+ * This helps prevent EPERM errors from antivirus scans.
+ * @param {string} oldPath - The original path.
+ * @param {string} newPath - The new path.
+ * @param {{warn: function(string): void}} [logger] - Told about each retry.
+ */
+async function renameWithRetry(oldPath, newPath, logger = silentLogger) {
+  const retries = 5;
+  const delay = 300; // ms
+  for (let i = 0; i < retries; i++) {
+    try {
+      await fs.rename(oldPath, newPath);
+      return; // Success
+    } catch (e) {
+      if (e.code === 'EPERM' && i < retries - 1) {
+        logger.warn(`Rename failed, retrying in ${delay}ms... (${i + 1}/${retries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } else {
+        throw e; // Rethrow on final attempt or different error
+      }
+    }
+  }
+}
+
+/**
+ * Returns a unique temporary path next to a file, so concurrent writers never share one.
+ * @param {string} file - The file that will be replaced.
+ * @returns {string}
+ */
+function getTempPath(file) {
+  return `${file}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+}
+
+/**
+ * Writes a file by writing a temporary file and renaming it over the original, so readers
+ * see either the old or the new content, never a partial write.
+ * @param {string} file - The file to write.
+ * @param {string} content - The new content.
+ * @param {Object} [options] - Options passed through to fs.writeFile, e.g. `mode`.
+ */
+async function writeFileAtomic(file, content, options) {
+  const tempFile = getTempPath(file);
+  try {
+    await fs.writeFile(tempFile, content, options);
+    await renameWithRetry(tempFile, file);
+  } catch (e) {
+    await fs.rm(tempFile, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * Points a symlink at a new target. The new link is created next to the old one and renamed
+ * over it, so there is no moment without a link. Windows can't rename over a junction,
+ * so there the old link is removed just before the rename.
+ * @param {string} target - What the link points to.
+ * @param {string} linkPath - The link to create or replace.
+ * @param {string} [type] - The link type, see fs.symlink.
+ */
+async function replaceSymlink(target, linkPath, type) {
+  const tempLink = getTempPath(linkPath);
+  await fs.symlink(target, tempLink, type);
+  try {
+    if (os.platform() === 'win32') {
+      try { await fs.unlink(linkPath); } catch (e) { if (e.code !== 'ENOENT') throw e; }
+    }
+    await renameWithRetry(tempLink, linkPath);
+  } catch (e) {
+    await fs.rm(tempLink, { force: true });
+    throw e;
+  }
+}
+
+
+// --- Archive extraction ---
+// Zig ships .tar.xz archives everywhere except Windows, which gets .zip. Both are extracted
+// here in plain JavaScript; the system tar is only used when asked for (--system-tar).
+
+const XZ_MAGIC = Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]);
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const LZMA2_MAX_CHUNK = (1 << 21) + 273; // Largest uncompressed LZMA2 chunk, plus the longest match
+
+/**
+ * Creates an array of LZMA probabilities, all starting at one half.
+ * @param {number} size - The number of probabilities.
+ * @returns {Uint16Array}
+ */
+function createProbabilities(size) {
+  return new Uint16Array(size).fill(1024);
+}
+
+/**
+ * A decoder for the LZMA2 format used inside .xz files.
+ * The dictionary is a ring buffer that also holds the output of the current chunk,
+ * which is handed out after each chunk so the whole archive never sits in memory.
+ */
+class Lzma2Decoder {
+  /**
+   * @param {number} dictSize - The dictionary size from the xz block header.
+   */
+  constructor(dictSize) {
+    this.dictSize = dictSize;
+    this.bufferSize = dictSize + LZMA2_MAX_CHUNK;
+    this.dict = Buffer.alloc(this.bufferSize);
+    this.lc = 0;
+    this.lp = 0;
+    this.pb = 0;
+    this.resetDict();
+  }
+
+  resetDict() {
+    this.pos = 0;
+    this.full = 0;
+    this.pending = 0;
+    this.totalPos = 0;
+  }
+
+  /**
+   * Reads the lc/lp/pb properties byte of an LZMA2 chunk.
+   * @param {number} props - The properties byte.
+   */
+  setProps(props) {
+    if (props > 224) throw new Error("Corrupt xz data: invalid LZMA properties");
+    this.lc = props % 9;
+    this.lp = Math.floor(props / 9) % 5;
+    this.pb = Math.floor(props / 45);
+    if (this.lc + this.lp > 4) throw new Error("Corrupt xz data: invalid LZMA properties");
+  }
+
+  resetState() {
+    const createLength = () => ({
+      choice: createProbabilities(2),
+      low: createProbabilities(16 << 3),
+      mid: createProbabilities(16 << 3),
+      high: createProbabilities(256),
+    });
+    this.state = 0;
+    this.rep0 = this.rep1 = this.rep2 = this.rep3 = 0;
+    this.isMatch = createProbabilities(12 << 4);
+    this.isRep = createProbabilities(12);
+    this.isRepG0 = createProbabilities(12);
+    this.isRepG1 = createProbabilities(12);
+    this.isRepG2 = createProbabilities(12);
+    this.isRep0Long = createProbabilities(12 << 4);
+    this.literal = createProbabilities(0x300 << (this.lc + this.lp));
+    this.posSlot = createProbabilities(4 << 6);
+    this.posSpecial = createProbabilities(115);
+    this.align = createProbabilities(16);
+    this.matchLength = createLength();
+    this.repLength = createLength();
+  }
+
+  /**
+   * Starts the range decoder on a chunk of compressed data.
+   * @param {Buffer} input - The compressed data.
+   * @param {number} offset - Where the chunk's range-coded data starts.
+   */
+  initRangeDecoder(input, offset) {
+    if (input[offset] !== 0) throw new Error("Corrupt xz data: invalid range coder header");
+    this.input = input;
+    this.inPos = offset + 5;
+    this.range = 0xffffffff;
+    this.code = input.readUInt32BE(offset + 1);
+  }
+
+  normalize() {
+    if (this.range < 0x1000000) {
+      this.range = (this.range << 8) >>> 0;
+      this.code = ((this.code << 8) | this.input[this.inPos++]) >>> 0;
+    }
+  }
+
+  bit(probs, index) {
+    this.normalize();
+    const prob = probs[index];
+    const bound = (this.range >>> 11) * prob;
+    if (this.code < bound) {
+      this.range = bound;
+      probs[index] = prob + ((2048 - prob) >>> 5);
+      return 0;
+    }
+    this.range -= bound;
+    this.code -= bound;
+    probs[index] = prob - (prob >>> 5);
+    return 1;
+  }
+
+  directBits(count) {
+    let result = 0;
+    for (let i = 0; i < count; i++) {
+      this.normalize();
+      this.range >>>= 1;
+      let bit = 0;
+      if (this.code >= this.range) {
+        this.code -= this.range;
+        bit = 1;
+      }
+      result = result * 2 + bit;
+    }
+    return result;
+  }
+
+  bitTree(probs, offset, bits) {
+    let m = 1;
+    for (let i = 0; i < bits; i++) m = (m << 1) | this.bit(probs, offset + m);
+    return m - (1 << bits);
+  }
+
+  reverseBitTree(probs, offset, bits) {
+    let m = 1;
+    let symbol = 0;
+    for (let i = 0; i < bits; i++) {
+      const bit = this.bit(probs, offset + m);
+      m = (m << 1) | bit;
+      symbol |= bit << i;
+    }
+    return symbol;
+  }
+
+  decodeLength(probs, posState) {
+    if (this.bit(probs.choice, 0) === 0) return this.bitTree(probs.low, posState << 3, 3);
+    if (this.bit(probs.choice, 1) === 0) return 8 + this.bitTree(probs.mid, posState << 3, 3);
+    return 16 + this.bitTree(probs.high, 0, 8);
+  }
+
+  decodeDistance(length) {
+    const slot = this.bitTree(this.posSlot, (length < 3 ? length : 3) << 6, 6);
+    if (slot < 4) return slot;
+    const bits = (slot >>> 1) - 1;
+    const base = (2 | (slot & 1)) * 2 ** bits;
+    if (slot < 14) return base + this.reverseBitTree(this.posSpecial, base - slot - 1, bits);
+    return base + this.directBits(bits - 4) * 16 + this.reverseBitTree(this.align, 0, 4);
+  }
+
+  putByte(byte) {
+    this.dict[this.pos++] = byte;
+    if (this.pos === this.bufferSize) this.pos = 0;
+    if (this.full < this.dictSize) this.full++;
+    this.pending++;
+    this.totalPos++;
+  }
+
+  getByte(distance) {
+    const index = this.pos - distance;
+    return this.dict[index < 0 ? index + this.bufferSize : index];
+  }
+
+  copyMatch(distance, length) {
+    if (distance > this.full) throw new Error("Corrupt xz data: match distance out of range");
+    const dict = this.dict;
+    const size = this.bufferSize;
+    let pos = this.pos;
+    let source = pos - distance;
+    if (source < 0) source += size;
+    for (let i = 0; i < length; i++) {
+      dict[pos++] = dict[source++];
+      if (pos === size) pos = 0;
+      if (source === size) source = 0;
+    }
+    this.pos = pos;
+    this.full = Math.min(this.full + length, this.dictSize);
+    this.pending += length;
+    this.totalPos += length;
+  }
+
+  /**
+   * Decodes one LZMA chunk of the given uncompressed size.
+   * @param {number} size - The uncompressed size of the chunk.
+   */
+  decodeLzma(size) {
+    const pbMask = (1 << this.pb) - 1;
+    const lpMask = (1 << this.lp) - 1;
+    const end = this.pending + size;
+
+    while (this.pending < end) {
+      const posState = this.totalPos & pbMask;
+      const state = this.state;
+
+      if (this.bit(this.isMatch, (state << 4) + posState) === 0) {
+        const prevByte = this.full > 0 ? this.getByte(1) : 0;
+        const base = 0x300 * (((this.totalPos & lpMask) << this.lc) + (prevByte >>> (8 - this.lc)));
+        let symbol = 1;
+        if (state >= 7) {
+          let matchByte = this.getByte(this.rep0 + 1);
+          do {
+            const matchBit = (matchByte >>> 7) & 1;
+            matchByte <<= 1;
+            const bit = this.bit(this.literal, base + ((1 + matchBit) << 8) + symbol);
+            symbol = (symbol << 1) | bit;
+            if (matchBit !== bit) break;
+          } while (symbol < 0x100);
+        }
+        while (symbol < 0x100) symbol = (symbol << 1) | this.bit(this.literal, base + symbol);
+        this.putByte(symbol & 0xff);
+        this.state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+        continue;
+      }
+
+      let length;
+      if (this.bit(this.isRep, state) === 0) {
+        this.rep3 = this.rep2;
+        this.rep2 = this.rep1;
+        this.rep1 = this.rep0;
+        length = this.decodeLength(this.matchLength, posState);
+        this.state = state < 7 ? 7 : 10;
+        this.rep0 = this.decodeDistance(length);
+        if (this.rep0 >= this.dictSize) throw new Error("Corrupt xz data: match distance out of range");
+      } else {
+        if (this.bit(this.isRepG0, state) === 0) {
+          if (this.bit(this.isRep0Long, (state << 4) + posState) === 0) {
+            this.state = state < 7 ? 9 : 11;
+            this.copyMatch(this.rep0 + 1, 1);
+            continue;
+          }
+        } else {
+          let distance;
+          if (this.bit(this.isRepG1, state) === 0) {
+            distance = this.rep1;
+          } else {
+            if (this.bit(this.isRepG2, state) === 0) {
+              distance = this.rep2;
+            } else {
+              distance = this.rep3;
+              this.rep3 = this.rep2;
+            }
+            this.rep2 = this.rep1;
+          }
+          this.rep1 = this.rep0;
+          this.rep0 = distance;
+        }
+        length = this.decodeLength(this.repLength, posState);
+        this.state = state < 7 ? 8 : 11;
+      }
+
+      length += 2;
+      if (this.pending + length > end) throw new Error("Corrupt xz data: match crosses a chunk boundary");
+      this.copyMatch(this.rep0 + 1, length);
+    }
+  }
+
+  /**
+   * Returns a copy of the bytes produced since the last call.
+   * @returns {Buffer}
+   */
+  takeOutput() {
+    const start = this.pos - this.pending;
+    const output = start >= 0
+      ? Buffer.from(this.dict.subarray(start, this.pos))
+      : Buffer.concat([this.dict.subarray(start + this.bufferSize), this.dict.subarray(0, this.pos)]);
+    this.pending = 0;
+    return output;
+  }
+
+  /**
+   * Decodes the LZMA2 chunks of an xz block, yielding the output of each chunk.
+   * Each chunk's compressed data (at most 64 KiB) is read whole before decoding it.
+   * @param {ChunkReader} reader - The .xz input, positioned where the block's compressed data starts.
+   * @returns {AsyncGenerator<Buffer>} Returns once the end marker has been read.
+   */
+  async *decode(reader) {
+    this.resetDict();
+    while (true) {
+      const control = (await reader.take(1))[0];
+      if (control === 0x00) return;
+
+      if (control === 0x01 || control === 0x02) {
+        if (control === 0x01) this.resetDict();
+        const size = (await reader.take(2)).readUInt16BE(0) + 1;
+        const data = await reader.take(size);
+        for (let i = 0; i < size; i++) this.putByte(data[i]);
+      } else if (control >= 0x80) {
+        const sizes = await reader.take(4);
+        const size = ((control & 0x1f) << 16) + sizes.readUInt16BE(0) + 1;
+        const compressedSize = sizes.readUInt16BE(2) + 1;
+        const reset = (control >>> 5) & 3;
+        if (reset === 3) this.resetDict();
+        if (reset >= 2) this.setProps((await reader.take(1))[0]);
+        if (reset >= 1) this.resetState();
+        this.initRangeDecoder(await reader.take(compressedSize), 0);
+        this.decodeLzma(size);
+      } else {
+        throw new Error("Corrupt xz data: invalid LZMA2 chunk");
+      }
+      yield this.takeOutput();
+    }
+  }
+}
+
+/**
+ * Decompresses an .xz stream, yielding the output in chunks.
+ * Only the LZMA2 filter is supported, which is what Zig's archives use. The integrity
+ * check of each block is skipped, since the archive was verified as a whole already.
+ * @param {AsyncIterable<Buffer>|Iterable<Buffer>} input - The .xz data, e.g. a file read stream.
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* decompressXz(input) {
+  const reader = new ChunkReader(input);
+  let decoder = null;
+
+  // Reads a variable-length integer, one byte at a time from `nextByte`.
+  const nextInputByte = async () => (await reader.take(1))[0];
+  const readVarint = async (nextByte) => {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = await nextByte();
+      value += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return value;
+  };
+
+  while (true) {
+    const first = await reader.read(1);
+    if (!first) return;
+    if (first[0] === 0) continue; // Stream padding
+    const streamHeader = Buffer.concat([first, await reader.take(11)]);
+    if (!streamHeader.subarray(0, 6).equals(XZ_MAGIC)) throw new Error("Not an xz file");
+    const streamStart = reader.position - 12;
+    const checkType = streamHeader[7] & 0x0f;
+    const checkSize = checkType === 0 ? 0 : 4 << Math.floor((checkType - 1) / 3);
+    const alignToStream = () => reader.skip((4 - ((reader.position - streamStart) % 4)) % 4);
+
+    while (true) {
+      const headerSizeByte = (await reader.take(1))[0];
+      if (headerSizeByte === 0x00) break; // 0x00 starts the index, which follows the last block
+      const blockHeader = await reader.take((headerSizeByte + 1) * 4 - 1);
+      const flags = blockHeader[0];
+      let p = 1;
+      const nextHeaderByte = () => blockHeader[p++];
+      if (flags & 0x40) await readVarint(nextHeaderByte); // Compressed size
+      if (flags & 0x80) await readVarint(nextHeaderByte); // Uncompressed size
+      const filterId = await readVarint(nextHeaderByte);
+      await readVarint(nextHeaderByte); // Size of the filter properties
+      if ((flags & 0x03) !== 0 || filterId !== 0x21) {
+        throw new Error("Unsupported xz filter chain (only LZMA2 is supported). Try --system-tar.");
+      }
+      const dictProps = blockHeader[p] & 0x3f;
+      if (dictProps > 40) throw new Error("Corrupt xz data: invalid dictionary size");
+      const dictSize = dictProps === 40 ? 0xffffffff : (2 | (dictProps & 1)) * 2 ** (Math.floor(dictProps / 2) + 11);
+      if (!decoder || decoder.dictSize < dictSize) decoder = new Lzma2Decoder(dictSize);
+
+      yield* decoder.decode(reader);
+      await alignToStream();
+      await reader.skip(checkSize);
+    }
+
+    // Skip the index and the stream footer.
+    const records = await readVarint(nextInputByte);
+    for (let i = 0; i < records * 2; i++) await readVarint(nextInputByte);
+    await alignToStream();
+    await reader.skip(4 + 12);
+  }
+}
+
+/**
+ * Reads exact byte counts from a sequence of buffers, such as a file read stream.
+ */
+class ChunkReader {
+  /**
+   * @param {AsyncIterable<Buffer>|Iterable<Buffer>} chunks - The buffers to read from, in order.
+   */
+  constructor(chunks) {
+    this.iterator = (chunks[Symbol.asyncIterator] ?? chunks[Symbol.iterator]).call(chunks);
+    this.chunk = Buffer.alloc(0);
+    this.offset = 0;
+    this.position = 0; // Bytes read so far
+  }
+
+  /**
+   * Returns up to `length` bytes from the current chunk, or null at the end of input.
+   * @param {number} length - The maximum number of bytes.
+   * @returns {Promise<Buffer|null>}
+   */
+  async readUpTo(length) {
+    while (this.offset >= this.chunk.length) {
+      const { value, done } = await this.iterator.next();
+      if (done) return null;
+      this.chunk = value;
+      this.offset = 0;
+    }
+    const end = Math.min(this.chunk.length, this.offset + length);
+    const part = this.chunk.subarray(this.offset, end);
+    this.position += end - this.offset;
+    this.offset = end;
+    return part;
+  }
+
+  /**
+   * Returns exactly `length` bytes, or null if the input ends first.
+   * @param {number} length - The number of bytes.
+   * @returns {Promise<Buffer|null>}
+   */
+  async read(length) {
+    const parts = [];
+    let received = 0;
+    while (received < length) {
+      const part = await this.readUpTo(length - received);
+      if (!part) return null;
+      parts.push(part);
+      received += part.length;
+    }
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts);
+  }
+
+  /**
+   * Returns exactly `length` bytes, throwing if the input ends first.
+   * @param {number} length - The number of bytes.
+   * @returns {Promise<Buffer>}
+   */
+  async take(length) {
+    const data = await this.read(length);
+    if (!data) throw new Error("Corrupt archive: unexpected end of input");
+    return data;
+  }
+
+  /**
+   * Skips `length` bytes.
+   * @param {number} length - The number of bytes.
+   */
+  async skip(length) {
+    let remaining = length;
+    while (remaining > 0) {
+      const part = await this.readUpTo(remaining);
+      if (!part) throw new Error("Corrupt archive: unexpected end of input");
+      remaining -= part.length;
+    }
+  }
+}
+
+/**
+ * Resolves a path the way the OS would, following symbolic links, but without requiring the
+ * last components to exist. Missing components are appended to the real path of their parent.
+ * @param {string} target - The path, which may contain '..' after symbolic links.
+ * @returns {Promise<string>}
+ */
+async function realpathLenient(target) {
+  try {
+    return await fs.realpath(target);
+  } catch (e) {
+    if (e.code !== 'ENOENT' && e.code !== 'ENOTDIR') throw e;
+  }
+  const parent = path.dirname(target);
+  if (parent === target) return target;
+  return path.join(await realpathLenient(parent), path.basename(target));
+}
+
+/**
+ * Maps archive entry names to paths under a destination, rejecting entries that would
+ * escape it. With `stripRoot`, every entry must share one top-level directory, which is
+ * left out of the destination paths and reported as `root`.
+ *
+ * Links are only recorded while entries are extracted and created by `createLinks` at the
+ * end, so no entry is ever written through a link. Entries below a link are rejected, and
+ * each symbolic link is checked again once all of them exist, since a chain of links that
+ * each look safe on their own can still point outside the destination.
+ * @param {string} destination - The extraction directory.
+ * @param {boolean} stripRoot - Whether to strip the top-level directory.
+ * @returns {{root: string|null, resolve: function(string): (string|null), resolveSource: function(string): (string|null), addLink: function(string, string, boolean): Promise<void>, createLinks: function(): Promise<void>}}
+ */
+function createEntryResolver(destination, stripRoot) {
+  const base = path.resolve(destination);
+  const isInside = (target, root = base) => target === root || target.startsWith(root + path.sep);
+  const links = new Map(); // Link path -> {target, source, hard}
+
+  const unsafeLink = (linkPath, target) => new Error(`Unsafe link in archive: ${path.relative(base, linkPath)} -> ${target}`);
+  const checkParents = (entryPath, name) => {
+    for (let dir = path.dirname(entryPath); dir !== base && isInside(dir); dir = path.dirname(dir)) {
+      if (links.has(dir)) throw new Error(`Unsafe path in archive: ${name} is inside the link ${path.relative(base, dir)}`);
+    }
+  };
+
+  return {
+    root: null,
+    // Returns null for entries that have nothing to extract (the stripped root itself).
+    map(name) {
+      const parts = name.split(/[\\/]+/).filter(part => part !== '' && part !== '.');
+      if (/^([a-zA-Z]:|[\\/])/.test(name) || parts.includes('..')) {
+        throw new Error(`Unsafe path in archive: ${name}`);
+      }
+      if (!stripRoot) return parts.length > 0 ? path.join(base, ...parts) : null;
+      if (parts.length === 0) return null;
+      if (this.root === null) this.root = parts[0];
+      else if (parts[0] !== this.root) throw new Error(`Archive has more than one top-level entry: ${this.root}, ${parts[0]}`);
+      return parts.length > 1 ? path.join(base, ...parts.slice(1)) : null;
+    },
+    // Maps the name of an entry about to be written. It replaces any link recorded for the same name.
+    resolve(name) {
+      const target = this.map(name);
+      if (target === null) return null;
+      checkParents(target, name);
+      links.delete(target);
+      return target;
+    },
+    // Maps the name a hard link points to.
+    resolveSource(name) {
+      const source = this.map(name);
+      if (source !== null) checkParents(source, name);
+      return source;
+    },
+    async addLink(linkPath, target, hard) {
+      if (hard) {
+        const source = this.resolveSource(target);
+        if (source === null) throw unsafeLink(linkPath, target);
+        const sourceLink = links.get(source);
+        if (sourceLink && !sourceLink.hard) {
+          // A hard link to a symbolic link is a symbolic link to the same place.
+          const symlinkTarget = path.relative(path.dirname(linkPath), path.resolve(path.dirname(source), sourceLink.target)) || '.';
+          await this.addLink(linkPath, symlinkTarget, false);
+          return;
+        }
+        links.set(linkPath, { target, source: sourceLink ? sourceLink.source : source, hard: true });
+      } else {
+        if (path.isAbsolute(target) || /^[a-zA-Z]:/.test(target) || !isInside(path.resolve(path.dirname(linkPath), target))) {
+          throw unsafeLink(linkPath, target);
+        }
+        links.set(linkPath, { target, source: null, hard: false });
+      }
+      await fs.mkdir(path.dirname(linkPath), { recursive: true });
+    },
+    async createLinks() {
+      // Hard links are copies, made while no symbolic link exists, so they never read through one.
+      for (const [linkPath, link] of links) {
+        if (!link.hard) continue;
+        await fs.rm(linkPath, { force: true });
+        await fs.copyFile(link.source, linkPath);
+      }
+      const realBase = await fs.realpath(base);
+      for (const [linkPath, link] of links) {
+        if (link.hard) continue;
+        const existing = await fs.lstat(linkPath).catch(() => null);
+        if (existing?.isDirectory()) throw unsafeLink(linkPath, link.target);
+        await fs.rm(linkPath, { force: true });
+        await fs.symlink(link.target, linkPath);
+      }
+      for (const [linkPath, link] of links) {
+        if (link.hard) continue;
+        const resolved = await realpathLenient(`${path.dirname(linkPath)}${path.sep}${link.target}`);
+        if (!isInside(resolved, realBase)) throw unsafeLink(linkPath, link.target);
+      }
+    },
+  };
+}
+
+/**
+ * Parses a numeric tar header field, in octal or GNU base-256 form.
+ * @param {Buffer} header - The 512-byte header.
+ * @param {number} offset - The field offset.
+ * @param {number} length - The field length.
+ * @returns {number}
+ */
+function parseTarNumber(header, offset, length) {
+  if (header[offset] & 0x80) {
+    let value = header[offset] & 0x7f;
+    for (let i = 1; i < length; i++) value = value * 256 + header[offset + i];
+    return value;
+  }
+  return parseInt(header.toString('ascii', offset, offset + length).replace(/[\0 ]/g, ''), 8) || 0;
+}
+
+/**
+ * Reads a NUL-terminated string field from a tar header.
+ * @param {Buffer} header - The 512-byte header.
+ * @param {number} offset - The field offset.
+ * @param {number} length - The field length.
+ * @returns {string}
+ */
+function parseTarString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.toString('utf-8', 0, end === -1 ? length : end);
+}
+
+/**
+ * Parses the records of a pax extended header ("<length> <key>=<value>\n").
+ * @param {Buffer} content - The header contents.
+ * @returns {Object.<string, string>}
+ */
+function parsePaxHeaders(content) {
+  const headers = {};
+  let p = 0;
+  while (p < content.length) {
+    const space = content.indexOf(0x20, p);
+    const length = space === -1 ? 0 : parseInt(content.toString('ascii', p, space), 10);
+    if (!length) break;
+    const record = content.toString('utf-8', space + 1, p + length - 1);
+    const equals = record.indexOf('=');
+    headers[record.slice(0, equals)] = record.slice(equals + 1);
+    p += length;
+  }
+  return headers;
+}
+
+/**
+ * Extracts a tar stream (ustar, pax and GNU long names).
+ * @param {AsyncIterable<Buffer>|Iterable<Buffer>} chunks - The uncompressed tar data.
+ * @param {string} destination - The extraction directory.
+ * @param {boolean} stripRoot - Whether to strip the top-level directory.
+ * @returns {Promise<string|null>} The top-level directory name when stripping it.
+ */
+async function extractTar(chunks, destination, stripRoot) {
+  const reader = new ChunkReader(chunks);
+  const entries = createEntryResolver(destination, stripRoot);
+  let pax = {};
+  let longName = null;
+  let longLink = null;
+
+  while (true) {
+    const header = await reader.read(512);
+    if (!header || header.every(byte => byte === 0)) break;
+
+    let checksum = 0;
+    for (let i = 0; i < 512; i++) checksum += i >= 148 && i < 156 ? 0x20 : header[i];
+    if (checksum !== parseTarNumber(header, 148, 8)) throw new Error("Corrupt archive: bad tar header checksum");
+
+    const type = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+    let size = parseTarNumber(header, 124, 12);
+
+    if (type === 'x' || type === 'g' || type === 'L' || type === 'K') {
+      const content = await reader.take(size);
+      if (type === 'x') pax = parsePaxHeaders(content);
+      if (type === 'L') longName = parseTarString(content, 0, content.length);
+      if (type === 'K') longLink = parseTarString(content, 0, content.length);
+      await reader.skip(Math.ceil(size / 512) * 512 - size);
+      continue;
+    }
+
+    const prefix = header.toString('ascii', 257, 262) === 'ustar' ? parseTarString(header, 345, 155) : '';
+    const shortName = parseTarString(header, 0, 100);
+    const name = pax.path ?? longName ?? (prefix ? `${prefix}/${shortName}` : shortName);
+    const linkName = pax.linkpath ?? longLink ?? parseTarString(header, 157, 100);
+    if (pax.size !== undefined) size = Number(pax.size);
+    const mode = parseTarNumber(header, 100, 8) & 0o777;
+    pax = {};
+    longName = longLink = null;
+
+    const padding = Math.ceil(size / 512) * 512 - size;
+    const target = entries.resolve(name);
+    if (target === null || !['0', '7', '5', '2', '1'].includes(type)) {
+      await reader.skip(size + padding); // The root itself, or devices, FIFOs and the like
+      continue;
+    }
+
+    if (type === '5') {
+      await fs.mkdir(target, { recursive: true });
+    } else if (type === '2' || type === '1') {
+      await entries.addLink(target, linkName, type === '1');
+    } else {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      const file = await fs.open(target, 'w', mode || 0o644);
+      try {
+        let remaining = size;
+        while (remaining > 0) {
+          const part = await reader.readUpTo(remaining);
+          if (!part) throw new Error("Corrupt archive: unexpected end of input");
+          await file.write(part);
+          remaining -= part.length;
+        }
+      } finally {
+        await file.close();
+      }
+      size = 0; // Already consumed
+    }
+    await reader.skip(size + padding);
+  }
+  await entries.createLinks();
+  return entries.root;
+}
+
+/**
+ * Extracts a .zip file, including Zip64 archives. The central directory is read first,
+ * then each entry is streamed from the file. Unix symbolic links are created as links,
+ * checked the same way as in tar archives.
+ * @param {string} archivePath - The .zip file.
+ * @param {string} destination - The extraction directory.
+ * @param {boolean} stripRoot - Whether to strip the top-level directory.
+ * @returns {Promise<string|null>} The top-level directory name when stripping it.
+ */
+async function extractZip(archivePath, destination, stripRoot) {
+  const entries = createEntryResolver(destination, stripRoot);
+  const archive = await fs.open(archivePath);
+  try {
+    const { size: archiveSize } = await archive.stat();
+    const readAt = async (position, length) => {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await archive.read(buffer, 0, length, position);
+      if (bytesRead !== length) throw new Error("Corrupt zip: unexpected end of file");
+      return buffer;
+    };
+
+    // The end of central directory record is followed by a comment of up to 64 KiB.
+    const tailStart = Math.max(0, archiveSize - 22 - 0xffff);
+    const tail = await readAt(tailStart, archiveSize - tailStart);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) throw new Error("Not a zip file");
+    let count = tail.readUInt16LE(eocd + 10);
+    let directorySize = tail.readUInt32LE(eocd + 12);
+    let directoryOffset = tail.readUInt32LE(eocd + 16);
+    if (count === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+      const locator = eocd >= 20 ? tail.subarray(eocd - 20, eocd) : null;
+      if (!locator || locator.readUInt32LE(0) !== 0x07064b50) throw new Error("Corrupt zip: missing Zip64 locator");
+      const zip64 = await readAt(Number(locator.readBigUInt64LE(8)), 56);
+      count = Number(zip64.readBigUInt64LE(32));
+      directorySize = Number(zip64.readBigUInt64LE(40));
+      directoryOffset = Number(zip64.readBigUInt64LE(48));
+    }
+    const directory = await readAt(directoryOffset, directorySize);
+
+    let p = 0;
+    for (let i = 0; i < count; i++) {
+      if (p + 46 > directory.length || directory.readUInt32LE(p) !== 0x02014b50) {
+        throw new Error("Corrupt zip: bad central directory entry");
+      }
+      const madeBy = directory.readUInt16LE(p + 4) >>> 8;
+      const flags = directory.readUInt16LE(p + 8);
+      const method = directory.readUInt16LE(p + 10);
+      let compressedSize = directory.readUInt32LE(p + 20);
+      let size = directory.readUInt32LE(p + 24);
+      const nameLength = directory.readUInt16LE(p + 28);
+      const extraLength = directory.readUInt16LE(p + 30);
+      const commentLength = directory.readUInt16LE(p + 32);
+      const externalAttributes = directory.readUInt32LE(p + 38);
+      let localOffset = directory.readUInt32LE(p + 42);
+      const name = directory.toString('utf-8', p + 46, p + 46 + nameLength);
+
+      // Zip64 extra field: 64-bit values for whichever fields are saturated, in this order.
+      for (let e = p + 46 + nameLength; e + 4 <= p + 46 + nameLength + extraLength;) {
+        const id = directory.readUInt16LE(e);
+        const length = directory.readUInt16LE(e + 2);
+        if (id === 0x0001) {
+          let q = e + 4;
+          const next = () => { const value = Number(directory.readBigUInt64LE(q)); q += 8; return value; };
+          if (size === 0xffffffff) size = next();
+          if (compressedSize === 0xffffffff) compressedSize = next();
+          if (localOffset === 0xffffffff) localOffset = next();
+        }
+        e += 4 + length;
+      }
+      p += 46 + nameLength + extraLength + commentLength;
+
+      const target = entries.resolve(name);
+      if (target === null) continue;
+      if (name.endsWith('/')) {
+        await fs.mkdir(target, { recursive: true });
+        continue;
+      }
+      if (flags & 0x01) throw new Error(`Encrypted zip entries are not supported: ${name}`);
+      if (method !== 0 && method !== 8) throw new Error(`Unsupported zip compression method ${method}: ${name}`);
+
+      const localHeader = await readAt(localOffset, 30);
+      if (localHeader.readUInt32LE(0) !== 0x04034b50) throw new Error(`Corrupt zip: bad local header for ${name}`);
+      const start = localOffset + 30 + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+      const raw = compressedSize > 0 ? createReadStream(archivePath, { start, end: start + compressedSize - 1 }) : Readable.from([]);
+      const inflate = method === 8 ? [zlib.createInflateRaw()] : [];
+
+      const unixMode = madeBy === 3 ? externalAttributes >>> 16 : 0;
+      if ((unixMode & 0o170000) === 0o120000) { // A symbolic link, whose content is its target
+        const parts = [];
+        await pipeline(raw, ...inflate, async (content) => {
+          for await (const part of content) parts.push(part);
+        });
+        const linkName = Buffer.concat(parts);
+        if (linkName.length !== size) throw new Error(`Corrupt zip: size mismatch for ${name}`);
+        await entries.addLink(target, linkName.toString('utf-8'), false);
+        continue;
+      }
+
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      const file = createWriteStream(target, { mode: (unixMode & 0o777) || 0o644 });
+      await pipeline(raw, ...inflate, file);
+      if (file.bytesWritten !== size) throw new Error(`Corrupt zip: size mismatch for ${name}`);
+    }
+  } finally {
+    await archive.close();
+  }
+  await entries.createLinks();
+  return entries.root;
+}
+
+/**
+ * Extracts a .tar.xz or .zip archive, detected by its contents. The archive is streamed
+ * from disk, so it never has to fit in memory.
+ * @param {string} archivePath - The archive to extract.
+ * @param {string} destination - The directory to extract into; it must exist.
+ * @param {{stripRoot?: boolean, systemTar?: boolean}} [options] - Set `stripRoot` to leave out the single
+ *   top-level directory, and `systemTar` to extract with the system 'tar'.
+ * @returns {Promise<string|null>} The top-level directory name when stripping it.
+ */
+async function extractArchive(archivePath, destination, { stripRoot = false, systemTar = false } = {}) {
+  if (systemTar) {
+    let root = null;
+    if (stripRoot) {
+      const { stdout } = await runCommand('tar', ['-tf', archivePath]);
+      root = stdout.split('\n')[0].trim().split('/')[0];
+    }
+    await runCommand('tar', ['-xf', archivePath, ...(stripRoot ? ['--strip-components=1'] : []), '-C', destination]);
+    return root;
+  }
+
+  const file = await fs.open(archivePath);
+  let magic;
+  try {
+    const { buffer, bytesRead } = await file.read(Buffer.alloc(6), 0, 6, 0);
+    magic = buffer.subarray(0, bytesRead);
+  } finally {
+    await file.close();
+  }
+  if (magic.subarray(0, 4).equals(ZIP_MAGIC)) return extractZip(archivePath, destination, stripRoot);
+  if (magic.equals(XZ_MAGIC)) return extractTar(decompressXz(createReadStream(archivePath)), destination, stripRoot);
+  throw new Error(`Unsupported archive format: ${archivePath}`);
+}
+
+/**
+ * Returns the ZLS executable name for the current platform.
+ * @returns {string}
+ */
+function getZlsExecutableName() {
+  return os.platform() === 'win32' ? 'zls.exe' : 'zls';
+}
+
+/**
+ * Reads `.minimum_zig_version` from the contents of a build.zig.zon file. The field counts
+ * when no '/' precedes it on its line, the same test the shims and shell hooks make with grep.
+ * @param {string} content - The file contents.
+ * @returns {string|null}
+ */
+function parseMinimumZigVersion(content) {
+  const match = /^[^/\n]*\.minimum_zig_version[ \t]*=[ \t]*"([^"]*)"/m.exec(content);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Walks up from a directory looking for the project's Zig version requirements.
+ * The nearest directory with a `.zig-version`, or a `build.zig.zon` that sets
+ * `.minimum_zig_version`, is the project. Its `.zig-version` pins a version (it is more
+ * specific, so it wins), while its `build.zig.zon` contributes the minimum as a lower bound.
+ * The shims and shell hooks apply the same rule.
+ * @param {string} [startDir] - Where to start looking. Defaults to the current directory.
+ * @returns {Promise<{version: string|null, versionFile: string|null, minimum: string|null, minimumFile: string|null}|null>}
+ *   Null if neither file was found.
+ */
+async function findProjectVersion(startDir = process.cwd()) {
+  const project = { version: null, versionFile: null, minimum: null, minimumFile: null };
+  let currentDir = path.resolve(startDir);
+  while (true) {
+    const versionFile = path.join(currentDir, '.zig-version');
+    try {
+      project.version = (await fs.readFile(versionFile, 'utf-8')).trim();
+      project.versionFile = versionFile;
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    const zonFile = path.join(currentDir, 'build.zig.zon');
+    try {
+      const minimum = parseMinimumZigVersion(await fs.readFile(zonFile, 'utf-8'));
+      if (minimum) {
+        project.minimum = minimum;
+        project.minimumFile = zonFile;
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    if (project.versionFile || project.minimumFile) return project;
+    const parentDir = path.dirname(currentDir);
+    if (parentDir === currentDir) return null; // Reached root
+    currentDir = parentDir;
+  }
+}
+
+/**
+ * Computes the total size of a directory tree in bytes.
+ * @param {string} dirPath - The directory to measure.
+ * @returns {Promise<number>}
+ */
+async function getDirectorySize(dirPath) {
+  let total = 0;
+  for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) total += await getDirectorySize(entryPath);
+    else total += (await fs.lstat(entryPath)).size;
+  }
+  return total;
+}
+
+/**
+ * Returns the name of the PATH environment variable. On Windows it is usually spelled "Path".
+ * @returns {string}
+ */
+function getPathKey() {
+  return Object.keys(process.env).find(key => key.toUpperCase() === 'PATH') || 'PATH';
+}
+
+/**
+ * Checks whether a path is a directory or lies inside it.
+ * @param {string} child - The path to check.
+ * @param {string} parent - The directory.
+ * @returns {boolean}
+ */
+function isPathInside(child, parent) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Finds the executable that a shell would run for a command name, like `which`.
+ * A name with a directory in it is looked up there instead of on PATH.
+ * @param {string} name - The command name, e.g. `zig`.
+ * @param {string} [searchPath] - The PATH to search. Defaults to this process's PATH.
+ * @returns {Promise<string|null>} Its full path, or null if it is not on PATH.
+ */
+async function findExecutable(name, searchPath = process.env[getPathKey()]) {
+  const isWindows = os.platform() === 'win32';
+  const hasDir = name.includes('/') || (isWindows && name.includes('\\'));
+  const pathExt = (process.env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';');
+  const hasExtension = pathExt.some(extension => extension && name.toUpperCase().endsWith(extension.toUpperCase()));
+  const extensions = isWindows && !hasExtension ? pathExt : [''];
+  const dirs = hasDir ? [path.dirname(path.resolve(name))] : (searchPath || '').split(path.delimiter).filter(Boolean);
+  for (const dir of dirs) {
+    for (const extension of extensions) {
+      const candidate = path.join(dir, `${path.basename(name)}${extension}`);
+      try {
+        await fs.access(candidate, isWindows ? constants.F_OK : constants.X_OK);
+        if ((await fs.stat(candidate)).isFile()) return candidate;
+      } catch (e) { /* Not here */ }
+    }
+  }
+  return null;
+}
+
+/**
+ * Quotes an argument for a command line that cmd.exe runs: first the way programs split
+ * their command line, then with cmd's special characters escaped so they stay literal.
+ * @param {string} arg - The argument.
+ * @returns {string}
+ */
+function quoteForCmd(arg) {
+  const quoted = `"${arg.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+  return quoted.replace(/[()\][%!^"`<>&|;, *?]/g, '^$&');
+}
+
+// Content types for the files in Zig's bundled docs.
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.wasm': 'application/wasm',
+  '.tar': 'application/x-tar',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+};
+
+/**
+ * Serves the files in a directory over HTTP on the loopback interface.
+ * @param {string} root - The directory to serve. Directory URLs serve their index.html.
+ * @param {number} port - The port to listen on, or 0 for any free one.
+ * @returns {Promise<http.Server>} The listening server.
+ */
+function serveDirectory(root, port) {
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405).end();
+      return;
+    }
+    let filePath;
+    try {
+      filePath = path.join(root, decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+    } catch (e) {
+      res.writeHead(400).end();
+      return;
+    }
+    if (!isPathInside(filePath, root)) {
+      res.writeHead(403).end();
+      return;
+    }
+    try {
+      let stat = await fs.stat(filePath);
+      if (stat.isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+        stat = await fs.stat(filePath);
+      }
+      res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream', 'Content-Length': stat.size });
+      if (req.method === 'HEAD') res.end();
+      else createReadStream(filePath).pipe(res);
+    } catch (e) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', (err) => {
+      reject(err.code === 'EADDRINUSE' ? new ZvmError(`Port ${port} is already in use.`) : err);
+    });
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Opens a URL in the default browser, without waiting for it.
+ * @param {string} url - The URL to open.
+ * @returns {Promise<void>}
+ * @throws {Error} If no browser could be started.
+ */
+function openInBrowser(url) {
+  const platform = os.platform();
+  const [command, args] = platform === 'darwin' ? ['open', [url]]
+    : platform === 'win32' ? ['cmd', ['/c', 'start', '', url]]
+    : ['xdg-open', [url]];
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: 'ignore', detached: true });
+    child.once('error', reject);
+    child.once('spawn', () => {
+      child.unref();
+      resolve();
+    });
+  });
+}
+
+// Matches a build.zig.zon line setting .minimum_zig_version outside a comment, like
+// parseMinimumZigVersion: for grep -E in the POSIX scripts, and for PowerShell's Select-String.
+const ZON_MINIMUM_GREP = '^[^/]*\\.minimum_zig_version[[:space:]]*=[[:space:]]*"';
+const ZON_MINIMUM_REGEX = '^[^/]*\\.minimum_zig_version\\s*=\\s*"';
+
+/**
+ * Builds a POSIX shim that runs an executable from the version chosen by ZVM_VERSION,
+ * the project's .zig-version or build.zig.zon, the active version or the global default, in that order.
+ * It finds the project the way findProjectVersion does, and outside one it execs the active
+ * version directly, so zvm is only started when needed.
+ * @param {string} executable - The executable name, e.g. `zig`.
+ * @param {Zvm} zvm - Provides the path of the 'active' symlink.
+ * @returns {string}
+ */
+function getShimScript(executable, zvm) {
+  return `#!/bin/sh
+# zvm shim for ${executable}, generated by 'zvm init'
+project="\${ZVM_VERSION-}"
+if [ -z "$project" ]; then
+  dir="$PWD"
+  while :; do
+    if [ -f "$dir/.zig-version" ]; then project="$dir"; break; fi
+    if [ -f "$dir/build.zig.zon" ] && grep -Eq '${ZON_MINIMUM_GREP}' "$dir/build.zig.zon"; then project="$dir"; break; fi
+    [ "$dir" = "/" ] && break
+    dir="\${dir%/*}"
+    [ -z "$dir" ] && dir="/"
+  done
+fi
+
+if [ -n "$project" ]; then
+  target="$(zvm path)" || exit 1
+else
+  target="${zvm.activeLink}"
+  # Without an active version, fall back to the global default
+  if [ ! -d "$target" ] && [ -f "${zvm.globalVersionFile}" ]; then
+    target="$(zvm path)" || exit 1
+  fi
+fi
+if [ ! -x "$target/${executable}" ]; then
+  echo "zvm: ${executable} is not available in $target. Run 'zvm use <version>' or add a .zig-version file." >&2
+  exit 127
+fi
+exec "$target/${executable}" "$@"
+`;
+}
+
+/**
+ * Builds a Windows batch shim. Batch files can't walk directories cheaply, so it asks
+ * `zvm path` for the version directory, which applies the same precedence.
+ * @param {string} executable - The executable name, e.g. `zig`.
+ * @returns {string}
+ */
+function getCmdShimScript(executable) {
+  return `@echo off
+rem zvm shim for ${executable}, generated by 'zvm init'
+setlocal
+set "ZVM_TARGET="
+for /f "usebackq delims=" %%d in (\`zvm path 2^>nul\`) do set "ZVM_TARGET=%%d"
+if not defined ZVM_TARGET (
+  echo zvm: no Zig version is selected. Run 'zvm use ^<version^>' or add a .zig-version file. 1>&2
+  exit /b 127
+)
+if not exist "%ZVM_TARGET%\\${executable}.exe" (
+  echo zvm: ${executable} is not available in %ZVM_TARGET%. 1>&2
+  exit /b 127
+)
+"%ZVM_TARGET%\\${executable}.exe" %*
+exit /b %ERRORLEVEL%
+`;
+}
+
+/**
+ * Builds the setup script for bash and zsh. Its hook looks for the nearest .zig-version
+ * in pure shell and only calls zvm when the requested version changes, so it is cheap
+ * enough to run on every prompt.
+ * @param {Zvm} zvm - Provides the zvm home directory and shim paths.
+ * @returns {string}
+ */
+function getShellScript(zvm) {
+  return `#!/bin/sh
+# zvm shell setup
+export ZVM_DIR="${zvm.dir}"
+# Shims pick a version per invocation; the 'active' symlink points to the global default
+export PATH="${zvm.shimBinDir}:${zvm.activeLink}:$PATH"
+export ZVM_INITIALIZED="true"
+
+# Switches this shell session to the version in ZVM_VERSION or the project's .zig-version
+# or build.zig.zon. zvm is only called when that setting changes.
+_zvm_hook() {
+  _zvm_key=""
+  _zvm_file="ZVM_VERSION"
+  if [ -n "\${ZVM_VERSION-}" ]; then
+    _zvm_key="env:$ZVM_VERSION"
+  else
+    _zvm_dir="$PWD"
+    _zvm_file=""
+    while :; do
+      if [ -f "$_zvm_dir/.zig-version" ]; then
+        _zvm_file="$_zvm_dir/.zig-version"
+        _zvm_want=""
+        read -r _zvm_want < "$_zvm_file"
+        _zvm_want="\${_zvm_want%%[[:space:]]*}" # Drop a trailing \\r or blanks, as zvm does
+        _zvm_key="$_zvm_file:$_zvm_want"
+        break
+      fi
+      if [ -f "$_zvm_dir/build.zig.zon" ] && grep -Eq '${ZON_MINIMUM_GREP}' "$_zvm_dir/build.zig.zon"; then
+        _zvm_file="$_zvm_dir/build.zig.zon"
+        _zvm_key="$_zvm_file"
+        break
+      fi
+      [ "$_zvm_dir" = "/" ] && break
+      _zvm_dir="\${_zvm_dir%/*}"
+      [ -z "$_zvm_dir" ] && _zvm_dir="/"
+    done
+  fi
+  [ "$_zvm_key" = "\${ZVM_HOOK_KEY-}" ] && return
+
+  if [ -n "\${ZVM_HOOK_PATH-}" ]; then
+    PATH=":$PATH:"
+    PATH="\${PATH//":$ZVM_HOOK_PATH:"/:}"
+    PATH="\${PATH#:}"
+    PATH="\${PATH%:}"
+  fi
+  export ZVM_HOOK_PATH="" ZVM_HOOK_KEY=""
+  [ -z "$_zvm_key" ] && return
+
+  if [ "\${ZVM_AUTO_INSTALL-}" = "true" ] && ! command zvm path >/dev/null 2>&1; then
+    command zvm install \${ZVM_VERSION:+"$ZVM_VERSION"}
+  fi
+  if _zvm_path="$(command zvm path 2>/dev/null)"; then
+    export ZVM_HOOK_PATH="$_zvm_path" ZVM_HOOK_KEY="$_zvm_key"
+    export PATH="$_zvm_path:$PATH"
+  elif [ "\${ZVM_HOOK_MISSING-}" != "$_zvm_key" ]; then
+    ZVM_HOOK_MISSING="$_zvm_key"
+    echo "zvm: no installed Zig version matches $_zvm_file. Run 'zvm install' here, or set ZVM_AUTO_INSTALL=true to install automatically." >&2
+  fi
+}
+
+if [ -n "\${ZSH_VERSION-}" ]; then
+  autoload -U add-zsh-hook
+  add-zsh-hook chpwd _zvm_hook
+  _zvm_hook
+  . "${path.join(zvm.completionsDir, 'zvm.zsh')}"
+elif [ -n "\${BASH_VERSION-}" ]; then
+  case ";\${PROMPT_COMMAND-};" in
+    *";_zvm_hook;"*) ;;
+    *) PROMPT_COMMAND="_zvm_hook\${PROMPT_COMMAND:+;$PROMPT_COMMAND}" ;;
+  esac
+  . "${path.join(zvm.completionsDir, 'zvm.bash')}"
+fi
+`;
+}
+
+/**
+ * Builds the setup script for fish, with a hook that runs whenever PWD changes.
+ * @param {Zvm} zvm - Provides the zvm home directory and shim paths.
+ * @returns {string}
+ */
+function getFishScript(zvm) {
+  return `# zvm shell setup
+set -gx ZVM_DIR "${zvm.dir}"
+# Shims pick a version per invocation; the 'active' symlink points to the global default
+set -gx PATH "${zvm.shimBinDir}" "${zvm.activeLink}" $PATH
+set -gx ZVM_INITIALIZED true
+
+# Switches this shell session to the version in ZVM_VERSION or the project's .zig-version
+# or build.zig.zon. zvm is only called when that setting changes.
+function _zvm_hook --on-variable PWD --on-variable ZVM_VERSION
+    set -l key ""
+    set -l file ZVM_VERSION
+    if test -n "$ZVM_VERSION"
+        set key "env:$ZVM_VERSION"
+    else
+        set -l dir $PWD
+        set file ""
+        while true
+            if test -f "$dir/.zig-version"
+                set file "$dir/.zig-version"
+                set -l want ""
+                read want < "$file"
+                set want (string trim -- "$want") # Drop a trailing \\r or blanks, as zvm does
+                set key "$file:$want"
+                break
+            end
+            if test -f "$dir/build.zig.zon"; and grep -Eq '${ZON_MINIMUM_GREP}' "$dir/build.zig.zon"
+                set file "$dir/build.zig.zon"
+                set key "$file"
+                break
+            end
+            test "$dir" = "/"; and break
+            set dir (dirname "$dir")
+        end
+    end
+    test "$key" = "$ZVM_HOOK_KEY"; and return
+
+    if test -n "$ZVM_HOOK_PATH"; and set -l i (contains -i -- "$ZVM_HOOK_PATH" $PATH)
+        set -e PATH[$i]
+    end
+    set -gx ZVM_HOOK_PATH ""
+    set -gx ZVM_HOOK_KEY ""
+    test -z "$key"; and return
+
+    if test "$ZVM_AUTO_INSTALL" = "true"; and not command zvm path >/dev/null 2>&1
+        command zvm install $ZVM_VERSION
+    end
+    if set -l target (command zvm path 2>/dev/null)
+        set -gx ZVM_HOOK_PATH $target
+        set -gx ZVM_HOOK_KEY $key
+        set -gx PATH $target $PATH
+    else if test "$ZVM_HOOK_MISSING" != "$key"
+        set -g ZVM_HOOK_MISSING $key
+        echo "zvm: no installed Zig version matches $file. Run 'zvm install' here, or set ZVM_AUTO_INSTALL=true to install automatically." >&2
+    end
+end
+
+_zvm_hook
+source "${path.join(zvm.completionsDir, 'zvm.fish')}"
+`;
+}
+
+/**
+ * Builds the setup script for PowerShell, which wraps the prompt function to run its hook.
+ * @param {Zvm} zvm - Provides the zvm home directory and shim paths.
+ * @returns {string}
+ */
+function getPowerShellScript(zvm) {
+  return `
+# zvm shell setup
+$env:ZVM_DIR = "${zvm.dir}"
+$env:PATH = "${zvm.shimBinDir};${zvm.activeLink};" + $env:PATH
+$env:ZVM_INITIALIZED = "true"
+
+# Switches this shell session to the version in ZVM_VERSION or the project's .zig-version
+# or build.zig.zon. zvm is only called when that setting changes.
+function global:Invoke-ZvmHook {
+  $key = ""
+  $file = "ZVM_VERSION"
+  if ($env:ZVM_VERSION) {
+    $key = "env:$env:ZVM_VERSION"
+  } else {
+    $dir = (Get-Location).ProviderPath
+    $file = $null
+    while ($dir) {
+      $candidate = Join-Path $dir '.zig-version'
+      if (Test-Path -LiteralPath $candidate -PathType Leaf) {
+        $file = $candidate
+        $key = "\${file}:$("$(Get-Content -LiteralPath $file -TotalCount 1)".Trim())"
+        break
+      }
+      $candidate = Join-Path $dir 'build.zig.zon'
+      if ((Test-Path -LiteralPath $candidate -PathType Leaf) -and
+          (Select-String -LiteralPath $candidate -Pattern '${ZON_MINIMUM_REGEX}' -Quiet)) {
+        $file = $candidate
+        $key = $file
+        break
+      }
+      $dir = Split-Path -Parent $dir
+    }
+  }
+  if ($key -eq "$env:ZVM_HOOK_KEY") { return }
+
+  if ($env:ZVM_HOOK_PATH) {
+    $env:PATH = (($env:PATH -split ';') | Where-Object { $_ -ne $env:ZVM_HOOK_PATH }) -join ';'
+  }
+  $env:ZVM_HOOK_PATH = $null
+  $env:ZVM_HOOK_KEY = $null
+  if (-not $key) { return }
+
+  if ($env:ZVM_AUTO_INSTALL -eq "true") {
+    zvm path *> $null
+    if ($LASTEXITCODE -ne 0) { if ($env:ZVM_VERSION) { zvm install $env:ZVM_VERSION } else { zvm install } }
+  }
+  $target = zvm path 2> $null
+  if ($LASTEXITCODE -eq 0 -and $target) {
+    $env:ZVM_HOOK_PATH = $target
+    $env:ZVM_HOOK_KEY = $key
+    $env:PATH = "$target;" + $env:PATH
+  } elseif ($env:ZVM_HOOK_MISSING -ne $key) {
+    $env:ZVM_HOOK_MISSING = $key
+    Write-Host "zvm: no installed Zig version matches $file. Run 'zvm install' here, or set ZVM_AUTO_INSTALL=true to install automatically." -ForegroundColor Yellow
+  }
+}
+
+if (-not $global:ZvmOriginalPrompt) {
+  $global:ZvmOriginalPrompt = $function:prompt
+  function global:prompt {
+    Invoke-ZvmHook
+    & $global:ZvmOriginalPrompt
+  }
+}
+
+. "${path.join(zvm.completionsDir, 'zvm.ps1')}"
+`;
+}
+
+/**
+ * Builds the tab completion script for a shell. The scripts ask `zvm __complete` for
+ * candidates, passing the words before the cursor and then the word being completed.
+ * @param {string} shell - One of bash, zsh, fish or powershell.
+ * @returns {string}
+ * @throws {UsageError} For other shells.
+ */
+function getCompletionScript(shell) {
+  switch (shell) {
+    case 'bash':
+      return `# zvm completion for bash, generated by 'zvm completions bash'
+_zvm_complete() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  local IFS=$'\\n'
+  COMPREPLY=($(compgen -W "$(command zvm __complete "\${COMP_WORDS[@]:1:COMP_CWORD-1}" "$cur" 2>/dev/null)" -- "$cur"))
+}
+complete -o default -F _zvm_complete zvm
+`;
+    case 'zsh':
+      return `# zvm completion for zsh, generated by 'zvm completions zsh'
+_zvm() {
+  local -a candidates
+  candidates=("\${(@f)$(command zvm __complete "\${(@)words[2,CURRENT-1]}" "\${words[CURRENT]}" 2>/dev/null)}")
+  if [[ -n "\${candidates[1]}" ]]; then
+    compadd -a candidates
+  else
+    _files
+  fi
+}
+# compdef exists once compinit has run; load this file after it.
+(( $+functions[compdef] )) && compdef _zvm zvm
+`;
+    case 'fish':
+      return `# zvm completion for fish, generated by 'zvm completions fish'
+function __zvm_complete
+    set -l words (commandline -opc)
+    set -l current (commandline -ct)
+    command zvm __complete $words[2..-1] "$current" 2>/dev/null
+end
+complete -c zvm -f -a '(__zvm_complete)'
+complete -c zvm -n '__fish_seen_subcommand_from link export import sync' -F
+`;
+    case 'powershell':
+      return `# zvm completion for PowerShell, generated by 'zvm completions powershell'
+Register-ArgumentCompleter -Native -CommandName zvm -ScriptBlock {
+  param($wordToComplete, $commandAst, $cursorPosition)
+  $words = @($commandAst.CommandElements | Select-Object -Skip 1 |
+    Where-Object { $_.Extent.EndOffset -lt $cursorPosition } | ForEach-Object { $_.ToString() })
+  zvm __complete @words "$wordToComplete" 2> $null | Where-Object { $_ -like "$wordToComplete*" } |
+    ForEach-Object { [System.Management.Automation.CompletionResult]::new($_, $_, 'ParameterValue', $_) }
+}
+`;
+    default:
+      throw new UsageError("Usage: zvm completions <bash|zsh|fish|powershell>");
+  }
+}
+
+// --- API ---
+
+/**
+ * Manages the Zig installs under one zvm home directory.
+ * Methods return data and throw ZvmError subclasses for anything the user should fix;
+ * progress messages go to the logger.
+ */
+export class Zvm {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - The zvm home directory. Defaults to ZVM_DIR, then ~/.zvm.
+   * @param {string} [options.cacheDir] - The download cache. Defaults to ZVM_CACHE_DIR, then `<dir>/cache`.
+   * @param {{info: function(string): void, success: function(string): void, warn: function(string): void, debug?: function(string): void}} [options.logger]
+   *   Receives progress messages, and with `debug`, details like each request made. Silent by default.
+   * @param {boolean} [options.progress] - Draw download progress bars when stdout is a TTY.
+   * @param {boolean} [options.systemTar] - Extract with the system 'tar'. Defaults to ZVM_SYSTEM_TAR.
+   * @param {Object} [options.config] - Settings that take precedence over config.json and the environment.
+   */
+  constructor({ dir, cacheDir, logger = silentLogger, progress = false, systemTar = process.env.ZVM_SYSTEM_TAR === 'true', config = {} } = {}) {
+    this.dir = path.resolve(dir || process.env.ZVM_DIR || path.join(os.homedir(), '.zvm'));
+    this.versionsDir = path.join(this.dir, 'versions');
+    this.shimsDir = path.join(this.dir, 'shims');
+    this.activeLink = path.join(this.shimsDir, 'active'); // A symlink to the active version
+    this.globalVersionFile = path.join(this.dir, 'global-version'); // The default where nothing else picks a version
+    this.shimBinDir = path.join(this.shimsDir, 'bin'); // Shim executables that pick a version at run time
+    this.aliasesFile = path.join(this.dir, 'aliases.json');
+    this.receiptsFile = path.join(this.dir, 'installs.json'); // The archive each install was extracted from
+    this.configFile = path.join(this.dir, 'config.json');
+    this.mirrorsFile = path.join(this.dir, 'mirrors.json'); // Mirror ranking, pins and exclusions
+    this.lockFile = path.join(this.dir, 'zvm.lock'); // Held while changing installs, aliases or settings
+    this.stagingDir = path.join(this.dir, 'staging'); // Archives are extracted here, then moved into versions
+    this.completionsDir = path.join(this.dir, 'completions'); // Tab completion scripts, loaded by the shell setup
+    this.indexCacheFile = path.join(this.dir, 'index.json'); // The last index.json fetched, for offline use and completions
+    this.cacheDir = path.resolve(cacheDir || process.env.ZVM_CACHE_DIR || path.join(this.dir, 'cache')); // Archives keyed by SHA-256
+    this.partialDir = path.join(this.cacheDir, 'partial'); // Interrupted downloads, resumed with HTTP Range
+    this.logger = { ...silentLogger, ...logger };
+    this.progress = progress;
+    this.systemTar = systemTar;
+    this.configOverrides = config;
+    this.settings = null; // The effective settings, read on first use
+    this.minisignPublicKey = ZSF_MINISIGN_PUBLIC_KEY; // The key Zig archives must be signed with
+    this.lockQueue = Promise.resolve(); // Settles when the last withLock caller in this process is done
+    this.lockContext = new AsyncLocalStorage(); // Set while a withLock function runs, so nested calls can tell
+  }
+
+  // --- Locking ---
+
+  /**
+   * Runs a function while holding the lock file, so zvm processes sharing a home directory
+   * don't change installs, aliases or settings at the same time. Concurrent calls on one Zvm
+   * take turns, while calls nested inside the function run right away, as they hold the lock.
+   * @template T
+   * @param {function(): Promise<T>} fn - The function to run.
+   * @returns {Promise<T>}
+   */
+  async withLock(fn) {
+    if (this.lockContext.getStore()) return fn();
+    const previous = this.lockQueue;
+    let done;
+    this.lockQueue = new Promise(resolve => { done = resolve; });
+    try {
+      await previous;
+      const release = await this.acquireLock();
+      try {
+        return await this.lockContext.run(true, fn);
+      } finally {
+        await release();
+      }
+    } finally {
+      done();
+    }
+  }
+
+  /**
+   * Creates the lock file, waiting while another live process holds it. A lock is stale, and
+   * taken over, when its process is gone or it wasn't refreshed for LOCK_STALE_AFTER. The
+   * holder refreshes it periodically, so long downloads don't look stale.
+   * @returns {Promise<function(): Promise<void>>} Releases the lock.
+   * @throws {LockError} If the lock is still held after LOCK_TIMEOUT.
+   */
+  async acquireLock() {
+    await fs.mkdir(this.dir, { recursive: true });
+    const owner = JSON.stringify({ pid: process.pid, host: os.hostname(), since: new Date().toISOString() });
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    let waiting = false;
+    for (;;) {
+      try {
+        await fs.writeFile(this.lockFile, owner, { flag: 'wx' });
+        this.logger.debug(`Took the lock ${this.lockFile}`);
+        break;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+
+      const holder = await this.readLock();
+      if (!holder) continue; // Released in the meantime
+      if (holder.stale) {
+        this.logger.warn(`Removing a stale lock left by process ${holder.pid ?? 'unknown'}.`);
+        // Only remove the lock that was found stale, not one a faster process just created.
+        if ((await this.readLock())?.content === holder.content) await fs.rm(this.lockFile, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new LockError(`Another zvm process (pid ${holder.pid ?? 'unknown'}) has been holding ${this.lockFile} for too long.`, {
+          hint: "If no other zvm is running, remove the lock file and try again.",
+        });
+      }
+      if (!waiting) {
+        this.logger.info(`Waiting for another zvm process (pid ${holder.pid ?? 'unknown'}) to finish...`);
+        waiting = true;
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_POLL_INTERVAL));
+    }
+
+    const refresh = setInterval(() => {
+      const now = new Date();
+      fs.utimes(this.lockFile, now, now).catch(() => {});
+    }, LOCK_STALE_AFTER / 4);
+    refresh.unref?.();
+    return async () => {
+      clearInterval(refresh);
+      await fs.rm(this.lockFile, { force: true });
+    };
+  }
+
+  /**
+   * Reads the lock file and decides whether its holder is gone.
+   * @returns {Promise<{pid?: number, host?: string, content: string, stale: boolean}|null>} Null if there is no lock.
+   */
+  async readLock() {
+    let content;
+    let stats;
+    try {
+      content = await fs.readFile(this.lockFile, 'utf-8');
+      stats = await fs.stat(this.lockFile);
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+
+    let owner = {};
+    try {
+      owner = JSON.parse(content);
+    } catch (e) { /* Still being written, or damaged; only its age tells */ }
+    let stale = Date.now() - stats.mtimeMs > LOCK_STALE_AFTER;
+    if (!stale && owner.host === os.hostname() && Number.isInteger(owner.pid)) {
+      try {
+        process.kill(owner.pid, 0); // Signal 0 only checks that the process exists
+      } catch (e) {
+        stale = e.code === 'ESRCH';
+      }
+    }
+    return { pid: owner.pid, host: owner.host, content, stale };
+  }
+
+  // --- Configuration and requests ---
+
+  /**
+   * Reads the settings saved in the config file.
+   * @returns {Promise<Object>}
+   */
+  async readConfigFile() {
+    let content;
+    try {
+      content = await fs.readFile(this.configFile, 'utf-8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return {}; // Nothing configured yet
+      throw e;
+    }
+    try {
+      return JSON.parse(content);
+    } catch (e) {
+      throw new ZvmError(`${this.configFile} is not valid JSON: ${e.message}`);
+    }
+  }
+
+  /**
+   * Lists every setting with its effective value and where that value comes from.
+   * Environment variables override the config file, and constructor options override both.
+   * @returns {Promise<Array<{key: string, value: *, source: string, description: string}>>}
+   *   `source` is `default`, `config.json`, the environment variable's name or `options`.
+   */
+  async listConfig() {
+    const file = await this.readConfigFile();
+    return Object.entries(CONFIG_OPTIONS).map(([key, option]) => {
+      let value = option.default;
+      let source = 'default';
+      if (file[key] !== undefined) {
+        value = parseConfigValue(key, file[key]);
+        source = path.basename(this.configFile);
+      }
+      if (process.env[option.env]) {
+        value = parseConfigValue(key, process.env[option.env]);
+        source = option.env;
+      }
+      if (this.configOverrides[key] !== undefined) {
+        value = parseConfigValue(key, this.configOverrides[key]);
+        source = 'options';
+      }
+      return { key, value, source, description: option.description };
+    });
+  }
+
+  /**
+   * Returns the effective settings.
+   * @returns {Promise<Object>} Setting names mapped to typed values.
+   */
+  async config() {
+    if (!this.settings) {
+      this.settings = Object.fromEntries((await this.listConfig()).map(({ key, value }) => [key, value]));
+    }
+    return this.settings;
+  }
+
+  /**
+   * Returns the effective value of a setting.
+   * @param {string} key - The setting name.
+   * @returns {Promise<*>}
+   */
+  async getConfig(key) {
+    parseConfigValue(key, null); // Rejects unknown settings
+    return (await this.config())[key];
+  }
+
+  /**
+   * Saves a setting to the config file.
+   * @param {string} key - The setting name.
+   * @param {*} value - The value; strings are parsed like environment variables.
+   * @returns {Promise<*>} The typed value that was saved.
+   */
+  async setConfig(key, value) {
+    return this.withLock(async () => {
+      if (value === undefined) throw new UsageError("Usage: zvm config set <key> <value>");
+      const parsed = parseConfigValue(key, value);
+      const file = await this.readConfigFile();
+      file[key] = parsed;
+      await fs.mkdir(this.dir, { recursive: true });
+      await writeFileAtomic(this.configFile, JSON.stringify(file, null, 2));
+      this.settings = null;
+      this.logger.success(`Set ${key} to ${JSON.stringify(parsed)}.`);
+      if (process.env[CONFIG_OPTIONS[key].env]) {
+        this.logger.warn(`${CONFIG_OPTIONS[key].env} is set and overrides this setting.`);
+      }
+      return parsed;
+    });
+  }
+
+  /**
+   * Removes a setting from the config file, so its default applies again.
+   * @param {string} key - The setting name.
+   */
+  async unsetConfig(key) {
+    return this.withLock(async () => {
+      parseConfigValue(key, null); // Rejects unknown settings
+      const file = await this.readConfigFile();
+      if (file[key] === undefined) {
+        this.logger.info(`${key} is not set in ${this.configFile}.`);
+        return;
+      }
+      delete file[key];
+      await writeFileAtomic(this.configFile, JSON.stringify(file, null, 2));
+      this.settings = null;
+      this.logger.success(`Unset ${key}.`);
+    });
+  }
+
+  /**
+   * Fetches a URL through the configured proxy, with the configured timeout and retries.
+   * Network errors and server errors (5xx) are retried after a growing delay.
+   * @param {string} url - The URL to fetch.
+   * @param {RequestInit} [options] - Options passed through to fetch.
+   * @param {{timeout?: number, retries?: number}} [limits] - Overrides for the configured values.
+   * @returns {Promise<Response>} The last response, which may be a server error.
+   */
+  async fetch(url, options = {}, { timeout, retries } = {}) {
+    const config = await this.config();
+    if (config.offline) throw new ZvmError(`Can't reach ${new URL(url).host} in offline mode.`);
+    const proxy = getProxyForUrl(url, config.proxy, config.noProxy);
+    const attempts = (retries ?? config.retries) + 1;
+    for (let attempt = 1; ; attempt++) {
+      this.logger.debug(`${options.method || 'GET'} ${url}${proxy ? ` via ${proxy}` : ''}${attempt > 1 ? ` (attempt ${attempt}/${attempts})` : ''}`);
+      try {
+        const response = await fetchWithTimeout(url, options, timeout ?? config.timeout, proxy);
+        this.logger.debug(`  ${response.status} ${response.statusText}`);
+        if (response.status < 500 || attempt >= attempts) return response;
+        await response.body?.cancel();
+      } catch (e) {
+        this.logger.debug(`  ${e.message}`);
+        if (attempt >= attempts) throw e;
+      }
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * 2 ** (attempt - 1)));
+    }
+  }
+
+  /**
+   * Lists the version indexes zvm can install from: the configured index.json as `ziglang`,
+   * the built-in ones and those added with the `sources` setting.
+   * @returns {Promise<Object<string, {name: string, indexUrl: string, pattern: RegExp|null}>>}
+   */
+  async sources() {
+    const config = await this.config();
+    const sources = { [DEFAULT_SOURCE]: { name: DEFAULT_SOURCE, indexUrl: config.indexUrl, pattern: null } };
+    for (const [name, { indexUrl, pattern }] of Object.entries(BUILTIN_SOURCES)) {
+      sources[name] = { name, indexUrl, pattern };
+    }
+    for (const entry of config.sources) {
+      const [name, indexUrl] = entry.split(/=(.*)/);
+      sources[name] = { name, indexUrl, pattern: BUILTIN_SOURCES[name]?.pattern ?? null }; // Possibly a mirror of a built-in one
+    }
+    return sources;
+  }
+
+  /**
+   * Looks up a version source by name.
+   * @param {string} [name] - The source name. Defaults to `ziglang`.
+   * @returns {Promise<{name: string, indexUrl: string, pattern: RegExp|null}>}
+   * @throws {UsageError} If there is no such source.
+   */
+  async getSource(name = DEFAULT_SOURCE) {
+    const sources = await this.sources();
+    if (!Object.hasOwn(sources, name)) {
+      throw new UsageError(`Unknown version source "${name}". Available sources: ${Object.keys(sources).join(', ')}.`, {
+        hint: "Add one with: zvm config set sources <name>=<index url>",
+      });
+    }
+    return sources[name];
+  }
+
+  /**
+   * Finds the source whose keys a version spec looks like, e.g. `mach` for `mach-latest`.
+   * @param {string} [spec] - The version spec.
+   * @returns {Promise<string>} The source name, `ziglang` if no other source claims the spec.
+   */
+  async sourceFor(spec) {
+    const match = Object.values(await this.sources()).find(({ pattern }) => spec && pattern?.test(spec));
+    return match ? match.name : DEFAULT_SOURCE;
+  }
+
+  /**
+   * Fetches a source's version index and keeps a copy for cachedIndex.
+   * In offline mode, returns that copy instead.
+   * @param {{timeout?: number, retries?: number, source?: string}} [options] - Overrides for the
+   *   configured limits, and the source to fetch (default: `ziglang`, the Zig download index).
+   * @returns {Promise<Object>}
+   * @throws {ZvmError} In offline mode, if no copy was kept yet.
+   */
+  async fetchIndex({ source = DEFAULT_SOURCE, ...limits } = {}) {
+    const { indexUrl } = await this.getSource(source);
+    const label = source === DEFAULT_SOURCE ? "Zig index" : `${source} index`;
+    if ((await this.config()).offline) {
+      const cached = await this.cachedIndex({ source });
+      if (!cached) {
+        throw new ZvmError(`No copy of the ${label} is cached, so versions can't be looked up offline.`, {
+          hint: `Run 'zvm list-remote${source === DEFAULT_SOURCE ? '' : ` --source ${source}`}' once while online, or install from a local archive with --from-file.`,
+        });
+      }
+      this.logger.info(`Offline: using the ${label} fetched ${new Date(cached.fetchedAt).toLocaleString()}.`);
+      return cached.index;
+    }
+
+    const response = await this.fetch(indexUrl, {}, limits);
+    if (!response.ok) throw new Error(`Failed to fetch ${label}: ${response.statusText}`);
+    const index = await response.json();
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await writeFileAtomic(this.indexCachePath(source), JSON.stringify({ url: indexUrl, fetchedAt: Date.now(), index }));
+    } catch (e) {
+      this.logger.warn(`Could not cache the ${label}: ${e.message}`);
+    }
+    return index;
+  }
+
+  /**
+   * Reads the copy of a source's index saved by the last fetchIndex, without going online.
+   * @param {{source?: string}} [options] - The source (default: `ziglang`).
+   * @returns {Promise<{index: Object, fetchedAt: number}|null>} Null if the source's configured
+   *   index was never fetched. `fetchedAt` is in milliseconds since the epoch.
+   */
+  async cachedIndex({ source = DEFAULT_SOURCE } = {}) {
+    const { indexUrl } = await this.getSource(source);
+    let cached;
+    try {
+      cached = JSON.parse(await fs.readFile(this.indexCachePath(source), 'utf-8'));
+    } catch (e) {
+      if (e.code === 'ENOENT' || e instanceof SyntaxError) return null;
+      throw e;
+    }
+    return cached?.index && cached.url === indexUrl ? { index: cached.index, fetchedAt: cached.fetchedAt } : null;
+  }
+
+  /**
+   * Names the file fetchIndex keeps a source's index in.
+   * @param {string} source - The source name.
+   * @returns {string}
+   */
+  indexCachePath(source) {
+    return source === DEFAULT_SOURCE ? this.indexCacheFile : path.join(this.dir, `index-${source}.json`);
+  }
+
+  // --- Versions and aliases ---
+
+  /**
+   * Reads aliases from the aliases file.
+   * @returns {Promise<Object.<string, string>>} Alias names mapped to install directory names.
+   */
+  async aliases() {
+    try {
+      const content = await fs.readFile(this.aliasesFile, 'utf-8');
+      return JSON.parse(content);
+    } catch (e) {
+      if (e.code === 'ENOENT') return {}; // No aliases file yet
+      throw e;
+    }
+  }
+
+  /**
+   * Reads the install receipts. Installs made before zvm kept receipts have none.
+   * @returns {Promise<Object.<string, {version: string, platform: string, archive: string, shasum: string, source?: string, installedAt: string}>>}
+   *   Install directory names mapped to the archive they were extracted from and its SHA-256.
+   *   `source` names the version index it was listed in, unless that was ziglang.org's.
+   */
+  async receipts() {
+    try {
+      return JSON.parse(await fs.readFile(this.receiptsFile, 'utf-8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+  }
+
+  /**
+   * Records or forgets the receipt of an install.
+   * @param {string} dir - The install directory name.
+   * @param {Object|null} receipt - The receipt, or null to remove it.
+   */
+  async setReceipt(dir, receipt) {
+    const receipts = await this.receipts();
+    if (receipt) {
+      receipts[dir] = receipt;
+    } else if (receipts[dir]) {
+      delete receipts[dir];
+    } else {
+      return;
+    }
+    await writeFileAtomic(this.receiptsFile, JSON.stringify(receipts, null, 2));
+  }
+
+  /**
+   * Points an alias at an installed version, replacing any previous target.
+   * @param {string} alias - The alias name.
+   * @param {string} versionOrAlias - The version to associate with the alias.
+   * @returns {Promise<string>} The install directory name the alias now points to.
+   */
+  async setAlias(alias, versionOrAlias) {
+    return this.withLock(async () => {
+      if (!alias || !versionOrAlias) throw new UsageError("Usage: zvm alias <name> <version> OR zvm alias --unset <name>");
+      const dir = await this.resolve(versionOrAlias);
+      if (!dir) throw new VersionNotFoundError(`Version "${versionOrAlias}" not found.`);
+
+      const aliases = await this.aliases();
+      aliases[alias] = dir;
+      await writeFileAtomic(this.aliasesFile, JSON.stringify(aliases, null, 2));
+      this.logger.success(`"${alias}" is now an alias for ${dir}.`);
+      return dir;
+    });
+  }
+
+  /**
+   * Removes an alias.
+   * @param {string} alias - The alias name.
+   */
+  async unsetAlias(alias) {
+    return this.withLock(async () => {
+      const aliases = await this.aliases();
+      if (!aliases[alias]) throw new AliasError(`Alias "${alias}" not found.`);
+      delete aliases[alias];
+      await writeFileAtomic(this.aliasesFile, JSON.stringify(aliases, null, 2));
+      this.logger.success(`Unset alias "${alias}".`);
+    });
+  }
+
+  /**
+   * Lists installed Zig directories together with the version parsed from each name.
+   * Only installs for one platform are included, the host's unless `target` says otherwise;
+   * directories without a platform in their name count as the host's.
+   * @param {{target?: string|null}} [options] - An `<arch>-<os>` target, or null for all platforms.
+   * @returns {Promise<Array<[string, string]>>} Pairs of [directory name, version].
+   */
+  async getInstalledVersions({ target } = {}) {
+    const hostKey = getPlatformKey(getPlatformInfo());
+    const platformKey = target === null ? null : getPlatformKey(getPlatformInfo(target));
+    try {
+      return (await fs.readdir(this.versionsDir))
+        .filter(dir => dir.startsWith('zig-'))
+        .filter(dir => platformKey === null || (getDirPlatform(dir) || hostKey) === platformKey)
+        .map(dir => [dir, getDirVersion(dir)])
+        .filter(([, version]) => version);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  /**
+   * Lists the toolchains registered with `link`. Each is a symlink in the versions directory,
+   * named after the toolchain, that points at a directory zvm doesn't manage.
+   * @returns {Promise<Array<{name: string, path: string}>>}
+   */
+  async getLinkedToolchains() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.versionsDir, { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const linked = [];
+    for (const entry of entries) {
+      if (!entry.isSymbolicLink() || /^(zig|zls)-/.test(entry.name)) continue;
+      linked.push({ name: entry.name, path: await fs.readlink(path.join(this.versionsDir, entry.name)) });
+    }
+    return linked;
+  }
+
+  /**
+   * Resolves a version spec or alias to an installed directory name. Version specs only match
+   * installs for one platform, while aliases and directory names match any. Linked toolchains
+   * only match by name, since their version changes whenever they are rebuilt. A key of another
+   * source, like `mach-latest`, matches the version it listed when its index was last fetched.
+   * @param {string} versionOrAlias - The user-provided version spec, alias or directory name.
+   * @param {{target?: string}} [options] - The `<arch>-<os>` platform to match. Defaults to the host.
+   * @returns {Promise<string|null>} The full directory name or null if not found.
+   * @throws {UsageError} If the spec matches more than one installed directory.
+   */
+  async resolve(versionOrAlias, { target } = {}) {
+    if (!versionOrAlias) return null;
+    const aliases = await this.aliases();
+    const name = aliases[versionOrAlias] || versionOrAlias;
+
+    if ((await this.getInstalledVersions({ target: null })).some(([dir]) => dir === name)) return name;
+    if ((await this.getLinkedToolchains()).some(linked => linked.name === name)) return name;
+
+    const source = await this.sourceFor(name);
+    const listed = source !== DEFAULT_SOURCE && (await this.cachedIndex({ source }))?.index;
+    const spec = (listed && findIndexRelease(listed, name)?.version) || name;
+    const dirVersions = await this.getInstalledVersions({ target });
+    const version = selectVersion(spec, dirVersions.map(([, v]) => v));
+    if (!version) return null;
+
+    const matchingDirs = dirVersions.filter(([, v]) => v === version).map(([dir]) => dir);
+    if (matchingDirs.length > 1) {
+      throw new UsageError(`"${versionOrAlias}" is ambiguous, it matches: ${matchingDirs.join(', ')}. Use the full directory name.`);
+    }
+    return matchingDirs[0];
+  }
+
+  /**
+   * Resolves project requirements to an installed directory. A pinned version must satisfy
+   * the minimum; with only a minimum, the lowest installed version that satisfies it is used.
+   * @param {Object} project - The result of findProjectVersion.
+   * @returns {Promise<{dir: string|null, requested: string, file: string}>}
+   * @throws {UsageError} If the pinned version is below the minimum.
+   */
+  async resolveProjectVersion(project) {
+    if (project.version) {
+      const dir = await this.resolve(project.version);
+      if (dir && project.minimum && getDirVersion(dir) && !satisfiesMinimum(getDirVersion(dir), project.minimum)) {
+        throw new UsageError(`${project.versionFile} pins ${getDirVersion(dir)}, but ${project.minimumFile} requires at least ${project.minimum}.`);
+      }
+      return { dir, requested: project.version, file: project.versionFile };
+    }
+
+    const satisfying = (await this.getInstalledVersions())
+      .filter(([, version]) => satisfiesMinimum(version, project.minimum))
+      .sort(([, a], [, b]) => compareZigVersions(a, b));
+    return { dir: satisfying[0]?.[0] || null, requested: `>= ${project.minimum}`, file: project.minimumFile };
+  }
+
+  /**
+   * Makes sure an install can run on this machine.
+   * @param {string} dir - The install directory name.
+   * @throws {UsageError} If it was installed for another platform with --target.
+   */
+  checkRunnable(dir) {
+    const platform = getDirPlatform(dir);
+    const hostKey = getPlatformKey(getPlatformInfo());
+    if (platform && platform !== hostKey) {
+      throw new UsageError(`${dir} is built for ${platform} and can't run on this ${hostKey} machine.`);
+    }
+  }
+
+  /**
+   * Returns the directory name of the active version.
+   * @returns {Promise<string|null>} Null if no version is active.
+   */
+  async getActiveVersionDir() {
+    try {
+      return path.basename(await fs.readlink(this.activeLink));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Lists the installed Zig versions, oldest first, followed by the linked toolchains.
+   * @param {{sizes?: boolean}} [options] - Set `sizes` to include each install's size in bytes, which is slower.
+   *   Linked toolchains are not measured and get a size of null.
+   * @returns {Promise<Array<{name: string, version: string|null, platform: string|null, path: string, size?: number|null, linked: boolean, aliases: string[], active: boolean}>>}
+   */
+  async list({ sizes = false } = {}) {
+    const activeVersionDir = await this.getActiveVersionDir();
+    const aliases = await this.aliases();
+    const reverseAliases = Object.entries(aliases).reduce((acc, [alias, versionDir]) => {
+      acc[versionDir] = acc[versionDir] ? [...acc[versionDir], alias] : [alias];
+      return acc;
+    }, {});
+
+    let zigDirs = [];
+    try {
+      const dirs = await fs.readdir(this.versionsDir);
+      zigDirs = dirs.filter(dir => dir.startsWith('zig-')).sort((a, b) => {
+        const va = getDirVersion(a);
+        const vb = getDirVersion(b);
+        return va && vb ? compareZigVersions(va, vb) : a.localeCompare(b);
+      });
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    const versions = [];
+    for (const dir of zigDirs) {
+      const dirPath = path.join(this.versionsDir, dir);
+      versions.push({
+        name: dir,
+        version: getDirVersion(dir),
+        platform: getDirPlatform(dir),
+        path: dirPath,
+        ...(sizes ? { size: await getDirectorySize(dirPath) } : {}),
+        linked: false,
+        aliases: reverseAliases[dir] || [],
+        active: dir === activeVersionDir,
+      });
+    }
+    for (const { name, path: linkedPath } of await this.getLinkedToolchains()) {
+      versions.push({
+        name,
+        version: null,
+        platform: null,
+        path: linkedPath,
+        ...(sizes ? { size: null } : {}),
+        linked: true,
+        aliases: reverseAliases[name] || [],
+        active: name === activeVersionDir,
+      });
+    }
+    return versions;
+  }
+
+  /**
+   * Lists the versions in a source's index that are available for a platform.
+   * @param {{target?: string, source?: string}} [options] - The `<arch>-<os>` platform, which
+   *   defaults to the host, and the source, which defaults to `ziglang`.
+   * @returns {Promise<Array<{name: string, version: string, master: boolean, date: string, tarball: string, size: number, shasum: string}>>}
+   *   `name` is the index key, which `zvm install` accepts too. The `master` entry is the latest development build.
+   */
+  async listRemote({ target, source = DEFAULT_SOURCE } = {}) {
+    const platformKey = getPlatformKey(getPlatformInfo(target));
+    await this.getSource(source); // Rejects unknown sources before saying what's fetched
+    if (!(await this.config()).offline) {
+      this.logger.info(`Fetching available Zig versions${source === DEFAULT_SOURCE ? '' : ` from ${source}`}...`);
+    }
+    const index = await this.fetchIndex({ source });
+
+    return Object.entries(index)
+      .filter(([, release]) => release?.[platformKey])
+      .map(([key, release]) => ({
+        name: key,
+        version: release.version || key,
+        master: key === 'master',
+        date: release.date,
+        tarball: release[platformKey].tarball,
+        size: Number(release[platformKey].size),
+        shasum: release[platformKey].shasum,
+      }));
+  }
+
+  /**
+   * Decides which version applies in the current directory: ZVM_VERSION, then the project's
+   * .zig-version or build.zig.zon, then the version activated with `use`, then the global default.
+   * @returns {Promise<{dir: string|null, requested: string, source: 'environment'|'project'|'active'|'global', file: string|null}|null>}
+   *   Null if nothing picks a version. `dir` is null if the version picked is not installed.
+   *   `file` is the project file or the global default's file that picked it.
+   */
+  async selectedVersion() {
+    if (process.env.ZVM_VERSION) {
+      const requested = process.env.ZVM_VERSION;
+      return { dir: await this.resolve(requested), requested, source: 'environment', file: null };
+    }
+
+    const project = await findProjectVersion();
+    if (project) {
+      const { dir, requested, file } = await this.resolveProjectVersion(project);
+      return { dir, requested, source: 'project', file };
+    }
+
+    const activeDir = await this.getActiveVersionDir();
+    const activeExists = Boolean(activeDir) && await fs.stat(this.activeLink).then(() => true, () => false);
+    const globalVersion = await this.globalVersion();
+    const globalDir = globalVersion && await this.resolve(globalVersion);
+    // An active version that was removed by hand gives way to the global default.
+    if (activeDir && activeDir !== globalDir && (activeExists || !globalVersion)) {
+      return { dir: activeDir, requested: activeDir, source: 'active', file: null };
+    }
+    if (globalVersion) {
+      return { dir: globalDir || null, requested: globalVersion, source: 'global', file: this.globalVersionFile };
+    }
+    return null;
+  }
+
+  /**
+   * Describes the version that applies in the current directory, what picked it, and what
+   * its `zig version` reports.
+   * @returns {Promise<{name: string, version: string|null, path: string, zigVersion: string, source: string, file: string|null}|null>}
+   *   Null if no version applies. `source` and `file` are as in selectedVersion.
+   * @throws {VersionNotFoundError} If the version picked is not installed.
+   */
+  async current() {
+    const selected = await this.selectedVersion();
+    if (!selected) return null;
+    const { dir, source, file } = selected;
+    const versionPath = path.join(this.versionsDir, this.requireSelected(selected));
+    try {
+      const { stdout } = await runCommand(`"${path.join(versionPath, 'zig')}"`, ['version']);
+      return { name: dir, version: getDirVersion(dir), path: versionPath, zigVersion: stdout.trim(), source, file };
+    } catch (e) {
+      throw new ZvmError(`Could not determine current version: ${e.message}`);
+    }
+  }
+
+  /**
+   * Returns the install directory name from a selectedVersion result.
+   * @param {{dir: string|null, requested: string, source: string, file: string|null}} selected
+   * @returns {string}
+   * @throws {VersionNotFoundError} If the version is not installed.
+   */
+  requireSelected({ dir, requested, source, file }) {
+    if (dir) return dir;
+    if (source === 'project') {
+      throw new VersionNotFoundError(`No installed version matches "${requested}" from ${file}.`, { hint: "To install it, run: zvm install" });
+    }
+    if (source === 'global') {
+      throw new VersionNotFoundError(`The global default ${requested} is not installed.`, {
+        hint: `Install it with 'zvm install ${requested}', or pick another with 'zvm global <version>'.`,
+      });
+    }
+    throw new VersionNotFoundError(`Version "${requested}" is not installed.`);
+  }
+
+  /**
+   * Returns the install directory of a version. Without a version, the one selectedVersion
+   * picks: ZVM_VERSION, the project's version files, the active version or the global default.
+   * @param {string} [versionOrAlias] - The version or alias to locate.
+   * @param {{target?: string}} [options] - The `<arch>-<os>` platform of the install. Defaults to the host.
+   * @returns {Promise<string>}
+   * @throws {VersionNotFoundError} If nothing is found.
+   */
+  async path(versionOrAlias, { target } = {}) {
+    const requested = versionOrAlias || process.env.ZVM_VERSION;
+    if (requested) {
+      const dir = await this.resolve(requested, { target });
+      if (!dir) throw new VersionNotFoundError(`Version "${requested}" is not installed.`);
+      return path.join(this.versionsDir, dir);
+    }
+
+    const selected = await this.selectedVersion();
+    if (!selected) {
+      throw new VersionNotFoundError("No version specified, no project version file found, no version is active and no global default is set.");
+    }
+    return path.join(this.versionsDir, this.requireSelected(selected));
+  }
+
+  // --- Installing and removing ---
+
+  /**
+   * Installs a Zig version. Without a spec, installs what the project's .zig-version or
+   * build.zig.zon asks for.
+   * @param {string} [versionSpec] - The version spec to install, e.g. `0.14`, `master` or a full
+   *   version, or a key or version another source lists, e.g. `mach-latest`.
+   * @param {{alias?: string, withZls?: boolean, useDefaultAlias?: boolean, target?: string, shasum?: string, fromFile?: string, source?: string}} [options] - `alias` is
+   *   assigned after installing; `withZls` also installs the matching ZLS, even if this Zig version
+   *   is already installed. Unless `useDefaultAlias` is false, the configured defaultAlias is moved
+   *   to the new install, which is then activated. `target` installs the toolchain for another
+   *   `<arch>-<os>` platform instead of the host; such installs are never activated. `shasum` is
+   *   the SHA-256 the archive must have, e.g. from a manifest; it must agree with the index.
+   *   `fromFile` installs an archive on disk instead of downloading one. Its name must be the
+   *   official one, which tells the version and platform, and the cached index's SHA-256 for it is
+   *   checked, as is a `.minisig` signature next to it. `source` names the index to install from;
+   *   by default it is the one whose keys look like the spec, else `ziglang`.
+   * @returns {Promise<{dir: string, version: string, platform: string, path: string, installed: boolean, activated: boolean}>}
+   *   `installed` is false if only ZLS was added to an existing install.
+   * @throws {AlreadyInstalledError} If the version is already installed and ZLS was not requested.
+   * @throws {VerificationError} If `shasum` differs from the one in the index, or a local archive fails its checks.
+   */
+  async install(versionSpec, { alias, withZls = false, useDefaultAlias = true, target, shasum, fromFile, source } = {}) {
+    return this.withLock(async () => {
+      const localArchive = fromFile && path.resolve(fromFile);
+      if (localArchive) {
+        const archiveName = path.basename(localArchive);
+        const parsed = parseArchiveName(localArchive);
+        if (!parsed) {
+          throw new UsageError(`Can't tell the Zig version from the archive name ${archiveName}.`, {
+            hint: "Keep the name of the official archive, e.g. zig-x86_64-linux-0.14.1.tar.xz.",
+          });
+        }
+        if (versionSpec && versionSpec !== parsed.version) {
+          throw new UsageError(`${archiveName} contains Zig ${parsed.version}, not ${versionSpec}.`);
+        }
+        if (target && parsed.platform && getPlatformKey(getPlatformInfo(target)) !== parsed.platform) {
+          throw new UsageError(`${archiveName} is for ${parsed.platform}, not ${target}.`);
+        }
+        try {
+          await fs.access(localArchive);
+        } catch (e) {
+          throw new UsageError(`Archive ${fromFile} not found.`);
+        }
+        versionSpec = parsed.version;
+        target = target || parsed.platform || undefined;
+      }
+
+      const platform = getPlatformKey(getPlatformInfo(target));
+      const foreign = platform !== getPlatformKey(getPlatformInfo());
+      if (foreign && withZls) {
+        throw new UsageError("ZLS can only be installed for this machine, not together with --target.");
+      }
+
+      let project = null;
+      if (!versionSpec) {
+        project = await findProjectVersion();
+        if (!project) {
+          throw new UsageError("Please specify which version to install. No .zig-version or build.zig.zon file was found.");
+        }
+        this.logger.info(project.version
+          ? `Found ${project.versionFile}, installing: ${project.version}`
+          : `Found ${project.minimumFile}, installing the newest version >= ${project.minimum}`);
+      }
+
+      if (alias) {
+        const aliases = await this.aliases();
+        if (aliases[alias]) {
+          throw new AliasError(`Alias "${alias}" is already in use for ${aliases[alias]}. Please choose another name or unset it first.`);
+        }
+      }
+
+      const requested = versionSpec || project.version;
+      const sourceName = source || await this.sourceFor(requested);
+      const defaultSource = sourceName === DEFAULT_SOURCE;
+      let index = null;
+      if (localArchive) {
+        index = (await this.cachedIndex({ source: sourceName }))?.index ?? null; // A local archive needs no network
+      } else if (!defaultSource) {
+        index = await this.fetchIndex({ source: sourceName }); // Only its index knows where the archives are
+      } else {
+        try {
+          index = await this.fetchIndex();
+        } catch (e) {
+          this.logger.warn(`Could not fetch the Zig index: ${e.message}`);
+        }
+      }
+
+      let zigVersion;
+      let release = null; // The entry of a source other than ziglang, which lists the archive's URL
+      if (defaultSource) {
+        zigVersion = requested ? resolveRemoteVersion(requested, index) : resolveRemoteMinimum(project.minimum, index);
+      } else {
+        if (!requested) {
+          throw new UsageError(`A minimum_zig_version can't be resolved with the ${sourceName} index. Pin a version it lists instead.`);
+        }
+        const found = index && findIndexRelease(index, requested);
+        if (!found && !(localArchive && parseZigVersion(requested))) {
+          throw new VersionNotFoundError(`No version matching "${requested}" was found in the ${sourceName} index.`, {
+            hint: `See what it lists with: zvm list-remote --source ${sourceName}`,
+          });
+        }
+        zigVersion = found?.version ?? requested;
+        release = found?.release ?? null;
+        if (release && !release[platform]) {
+          throw new VersionNotFoundError(`The ${sourceName} index has no build of "${requested}" for ${platform}.`);
+        }
+      }
+      if (project?.minimum && !satisfiesMinimum(zigVersion, project.minimum)) {
+        throw new UsageError(`${zigVersion} does not satisfy the minimum ${project.minimum} required by ${project.minimumFile}.`);
+      }
+      const resolvedNote = zigVersion === requested ? '' : ` (resolved from "${requested || `>= ${project.minimum}`}")`;
+      const platformNote = foreign ? ` for ${platform}` : '';
+      const sourceNote = defaultSource ? '' : ` from ${sourceName}`;
+      this.logger.info(`[1/4] Target Zig version: ${zigVersion}${platformNote}${sourceNote}${resolvedNote}`);
+
+      const installedDir = await this.resolve(zigVersion, { target });
+      if (installedDir) {
+        const installedPath = path.join(this.versionsDir, installedDir);
+        const message = `Zig version already installed at ${installedPath}`;
+        if (!withZls) throw new AlreadyInstalledError(message, installedDir);
+        this.logger.info(message);
+        await this.installZls(installedDir);
+        return { dir: installedDir, version: zigVersion, platform, path: installedPath, installed: false, activated: false };
+      }
+
+      const config = await this.config();
+      const indexShasum = release ? release[platform].shasum || null : index && getIndexShasum(index, zigVersion, target);
+      if (shasum && indexShasum && shasum !== indexShasum) {
+        throw new VerificationError(`The expected SHA-256 of Zig ${zigVersion}${platformNote} differs from the one in the Zig index.`);
+      }
+      const expectedShasum = shasum || indexShasum;
+
+      let downloadedFile;
+      let archiveShasum;
+      if (localArchive) {
+        this.logger.info(`[2/4] Using local archive: ${localArchive}`);
+        this.logger.info("[3/4] Verifying archive...");
+        archiveShasum = await this.verifyLocalArchive(localArchive, expectedShasum);
+        downloadedFile = localArchive;
+      } else {
+        // 1. Determine package info by constructing URLs, or from the source's index
+        const tarball = release && new URL(release[platform].tarball, (await this.getSource(sourceName)).indexUrl).href;
+        const { canonicalUrl, potentialFilenames } = tarball
+          ? { canonicalUrl: tarball.slice(0, tarball.lastIndexOf('/')), potentialFilenames: [decodeURIComponent(tarball.slice(tarball.lastIndexOf('/') + 1))] }
+          : getZigPackageInfo(zigVersion, config.canonicalUrl, target);
+        this.logger.info(`[2/4] Determined potential packages: ${potentialFilenames.join(', ')}`);
+        if (!expectedShasum) {
+          this.logger.warn("No SHA-256 listed for this version. The archive will only be checked against its signature.");
+        }
+
+        // 2. Fetch mirrors and attempt download
+        let mirrors = [];
+        if (config.offline) {
+          this.logger.info("[3/4] Offline: looking for the archive in the download cache...");
+        } else {
+          this.logger.info("[3/4] Ranking mirrors and downloading Zig archive...");
+          mirrors = await this.getRankedMirrors();
+          if (mirrors.length > 0) {
+            this.logger.info(`  Using ${mirrors.length} mirrors, fastest first.`);
+          } else {
+            this.logger.warn("No mirrors available. Will use the canonical URL as a fallback.");
+          }
+        }
+
+        // Priortize download from mirrors first
+        const downloadBaseUrls = [...mirrors, canonicalUrl];
+        ({ downloadedFile } = await this.attemptDownload(downloadBaseUrls, potentialFilenames, expectedShasum));
+        archiveShasum = path.basename(path.dirname(downloadedFile)); // Cached archives are stored under their SHA-256
+      }
+
+      // 3. Extract the archive atomically
+      this.logger.info(`[4/4] Installing...`);
+      const archiveName = path.basename(downloadedFile).replace(/\.(tar\.xz|zip)$/, '');
+      await fs.mkdir(this.versionsDir, { recursive: true });
+      await fs.mkdir(this.stagingDir, { recursive: true });
+      const tempInstallPath = await fs.mkdtemp(path.join(this.stagingDir, `${archiveName}-`));
+      let unpackedDirName;
+      let finalInstallPath;
+
+      try {
+        this.logger.debug(`Extracting ${downloadedFile} with ${this.systemTar ? "the system tar" : "the built-in extractor"}`);
+        // The install directory is named after the archive's top-level directory.
+        unpackedDirName = await extractArchive(downloadedFile, tempInstallPath, { stripRoot: true, systemTar: this.systemTar });
+        finalInstallPath = path.join(this.versionsDir, unpackedDirName);
+
+        // Check if it's already installed.
+        let exists = false;
+        try {
+          await fs.access(finalInstallPath);
+          exists = true;
+        } catch (e) { /* Expected */ }
+        if (exists) {
+          throw new AlreadyInstalledError(`Zig version already installed at ${finalInstallPath}`, unpackedDirName);
+        }
+
+        // Use the new rename function with retries
+        await renameWithRetry(tempInstallPath, finalInstallPath, this.logger);
+      } catch (e) {
+        await fs.rm(tempInstallPath, { recursive: true, force: true });
+        throw e;
+      }
+      await this.setReceipt(unpackedDirName, {
+        version: zigVersion,
+        platform,
+        archive: path.basename(downloadedFile),
+        shasum: archiveShasum,
+        ...(defaultSource ? {} : { source: sourceName }),
+        installedAt: new Date().toISOString(),
+      });
+
+      if (alias) {
+        await this.setAlias(alias, unpackedDirName);
+      }
+      if (withZls) {
+        await this.installZls(unpackedDirName);
+      }
+
+      this.logger.success(`Zig version ${zigVersion}${platformNote} is installed at: ${finalInstallPath}`);
+
+      const activated = Boolean(config.defaultAlias) && useDefaultAlias && !foreign;
+      if (activated) {
+        await this.setAlias(config.defaultAlias, unpackedDirName);
+        await this.use(config.defaultAlias);
+      }
+      return { dir: unpackedDirName, version: zigVersion, platform, path: finalInstallPath, installed: true, activated };
+    });
+  }
+
+  /**
+   * Removes an installed version, deactivating it first if needed, and its aliases.
+   * @param {string} versionOrAlias - The version or alias to remove.
+   * @param {{target?: string}} [options] - The `<arch>-<os>` platform of the install. Defaults to the host.
+   * @returns {Promise<{dir: string, removedAliases: string[]}>}
+   */
+  async remove(versionOrAlias, { target } = {}) {
+    return this.withLock(async () => {
+      if (!versionOrAlias) throw new UsageError("Please specify which version to remove.");
+      const dirToRemove = await this.resolve(versionOrAlias, { target });
+      if (!dirToRemove) throw new VersionNotFoundError(`Version "${versionOrAlias}" not found.`);
+      if ((await this.getLinkedToolchains()).some(({ name }) => name === dirToRemove)) {
+        throw new UsageError(`${dirToRemove} is a linked toolchain, not an install.`, {
+          hint: `To unregister it without touching its directory, run: zvm unlink ${dirToRemove}`,
+        });
+      }
+
+      // Check if the version to be removed is currently active.
+      if (dirToRemove === await this.getActiveVersionDir()) {
+        this.logger.info(`Version ${dirToRemove} is currently active. Deactivating it first...`);
+        await this.deactivate();
+      }
+
+      await this.unsetGlobalVersionFor(dirToRemove);
+
+      // Remove the version directory
+      const fullPath = path.join(this.versionsDir, dirToRemove);
+      this.logger.info(`Removing ${fullPath}...`);
+      await fs.rm(fullPath, { recursive: true, force: true });
+      await this.setReceipt(dirToRemove, null);
+      this.logger.success(`Successfully removed ${dirToRemove}.`);
+
+      const removedAliases = await this.removeAliasesFor(dirToRemove);
+      return { dir: dirToRemove, removedAliases };
+    });
+  }
+
+  /**
+   * Removes the aliases that point to a directory that is going away.
+   * @param {string} dir - The install directory name or linked toolchain name.
+   * @returns {Promise<string[]>} The removed aliases.
+   */
+  async removeAliasesFor(dir) {
+    const aliases = await this.aliases();
+    const cleanedAliases = {};
+    const removedAliases = [];
+    for (const [alias, versionDir] of Object.entries(aliases)) {
+      if (versionDir !== dir) {
+        cleanedAliases[alias] = versionDir;
+      } else {
+        removedAliases.push(alias);
+      }
+    }
+
+    if (removedAliases.length > 0) {
+      await writeFileAtomic(this.aliasesFile, JSON.stringify(cleanedAliases, null, 2));
+      this.logger.info(`Removed associated aliases: ${removedAliases.join(', ')}`);
+    }
+    return removedAliases;
+  }
+
+  /**
+   * Removes old dev builds, keeping the newest one and the `keep` builds before it.
+   * Builds that are aliased or active are never removed.
+   * @param {number} keep - How many previous dev builds to keep.
+   * @returns {Promise<string[]>} The removed directory names.
+   */
+  async pruneDevBuilds(keep) {
+    return this.withLock(async () => {
+      const aliases = await this.aliases();
+      const protectedDirs = new Set([...Object.values(aliases), await this.getActiveVersionDir()]);
+      const devDirs = (await this.getInstalledVersions())
+        .filter(([, version]) => parseZigVersion(version).dev !== null)
+        .sort(([, a], [, b]) => compareZigVersions(b, a))
+        .map(([dir]) => dir);
+
+      const stale = devDirs.slice(keep + 1).filter(dir => !protectedDirs.has(dir));
+      if (stale.length > 0) {
+        this.logger.info(`Removing ${stale.length} old dev build(s), keeping ${keep} besides the newest...`);
+      }
+      for (const dir of stale) {
+        await this.remove(dir);
+      }
+      return stale;
+    });
+  }
+
+  /**
+   * Installs the newest build of a release track and prunes old dev builds.
+   * The track is master, stable, or the one the version behind an alias belongs to,
+   * in which case the alias is moved to the new build. If the replaced build was active,
+   * the new one is activated instead.
+   * @param {string} [target] - `master`/`nightly`, `stable`/`latest`, or an alias.
+   * @param {{keep?: number|string}} [options] - How many previous dev builds to keep.
+   * @returns {Promise<{track: string, alias: string|null, previous: string|null, dir: string, upgraded: boolean, removed: string[]}>}
+   */
+  async upgrade(target = 'master', { keep = process.env.ZVM_KEEP_DEV_BUILDS ?? DEFAULT_KEEP_DEV_BUILDS } = {}) {
+    return this.withLock(async () => {
+      const keepCount = Number(keep);
+      if (!Number.isInteger(keepCount) || keepCount < 0) {
+        throw new UsageError(`Invalid number of dev builds to keep: "${keep}".`);
+      }
+
+      const aliases = await this.aliases();
+      let alias = null;
+      let track = MASTER_KEYWORDS.includes(target) ? 'master' : LATEST_KEYWORDS.includes(target) ? 'stable' : null;
+      if (!track) {
+        if (!aliases[target]) {
+          throw new AliasError(`"${target}" is not an alias. Use master, stable or an existing alias.`);
+        }
+        alias = target;
+        if (!getDirVersion(aliases[alias])) {
+          throw new UsageError(`"${alias}" points to ${aliases[alias]}, which is not a Zig release or dev build and can't be upgraded.`);
+        }
+        const version = parseZigVersion(getDirVersion(aliases[alias]));
+        track = version && version.dev === null ? 'stable' : 'master';
+      }
+
+      this.logger.info(`Checking for a newer ${track} build...`);
+      const latest = resolveRemoteVersion(track, await this.fetchIndex());
+      const previousDir = alias ? aliases[alias] : await this.resolve(track);
+      const previousVersion = previousDir && getDirVersion(previousDir);
+
+      let dir = previousDir;
+      if (previousVersion === latest) {
+        this.logger.success(`${alias ? `"${alias}"` : track} is up to date (${latest}).`);
+      } else {
+        this.logger.info(`Upgrading ${alias ? `"${alias}"` : track}: ${previousVersion || '(not installed)'} -> ${latest}`);
+        dir = await this.resolve(latest) || (await this.install(latest, { useDefaultAlias: false })).dir;
+        if (alias) {
+          await this.setAlias(alias, dir);
+        }
+        if (previousDir && previousDir === await this.getActiveVersionDir()) {
+          await this.use(dir);
+        }
+      }
+
+      const removed = track === 'master' ? await this.pruneDevBuilds(keepCount) : [];
+      return { track, alias, previous: previousDir || null, dir, upgraded: dir !== previousDir, removed };
+    });
+  }
+
+  // --- Manifests ---
+
+  /**
+   * Describes the installs, their aliases and the active version as a manifest that
+   * `importManifest` can recreate elsewhere. Linked toolchains can't be recreated and are left out.
+   * @returns {Promise<{zvm: number, host: string, versions: Array<{version: string, platform: string, shasum: string|null, source?: string, aliases: string[]}>, active: string|null}>}
+   *   `source` names the version index an install came from, unless it was ziglang.org's. `host` is this machine's platform. Installs for it are made for the importing machine's
+   *   platform instead, so one manifest serves a team on different systems. `shasum` comes from
+   *   the install's receipt, else from the last index fetched; it is null if neither knows it.
+   */
+  async exportManifest() {
+    const host = getPlatformKey(getPlatformInfo());
+    const receipts = await this.receipts();
+    const index = (await this.cachedIndex())?.index;
+    const versions = [];
+    let active = null;
+    for (const { name, version, platform, linked, aliases, active: isActive } of await this.list()) {
+      if (linked) {
+        this.logger.warn(`Leaving out ${name}: linked toolchains can't be installed from a manifest.`);
+        continue;
+      }
+      const installPlatform = platform || host;
+      const shasum = receipts[name]?.shasum || (index && getIndexShasum(index, version, installPlatform)) || null;
+      const source = receipts[name]?.source;
+      versions.push({ version, platform: installPlatform, shasum, ...(source ? { source } : {}), aliases });
+      if (isActive) active = version;
+    }
+    return { zvm: MANIFEST_FORMAT, host, versions, active };
+  }
+
+  /**
+   * Brings this home directory in line with a manifest from `exportManifest`: installs the
+   * missing versions, points the aliases at them and activates the active version.
+   * @param {Object} manifest - The parsed manifest.
+   * @param {{prune?: boolean}} [options] - Set `prune` to also remove the installs and aliases the
+   *   manifest doesn't list. Linked toolchains and their aliases are kept.
+   * @returns {Promise<{installed: string[], present: string[], active: string|null, activated: boolean, removed: string[], removedAliases: string[]}>}
+   *   Install directory names, except for `removedAliases`. `activated` tells whether the active version changed.
+   * @throws {UsageError} If the manifest is malformed or from a newer zvm.
+   */
+  async importManifest(manifest, { prune = false } = {}) {
+    if (manifest?.zvm !== MANIFEST_FORMAT || !Array.isArray(manifest.versions)) {
+      throw new UsageError("Not a zvm manifest, or one written by a newer zvm.", { hint: "Create one with: zvm export <file>" });
+    }
+    const invalid = manifest.versions.find(entry => typeof entry?.version !== 'string' || !parseZigVersion(entry.version));
+    if (invalid) throw new UsageError(`Invalid version "${invalid?.version}" in the manifest.`);
+    for (const { source } of manifest.versions) {
+      if (source !== undefined) await this.getSource(String(source)); // Rejects unknown sources before installing anything
+    }
+    const isHostEntry = ({ version, platform = manifest.host }) => version === manifest.active && platform === manifest.host;
+    if (manifest.active && !manifest.versions.some(isHostEntry)) {
+      throw new UsageError(`The manifest's active version ${manifest.active} is not among its versions.`);
+    }
+
+    return this.withLock(async () => {
+      const host = getPlatformKey(getPlatformInfo());
+      const receipts = await this.receipts();
+      const installed = [];
+      const present = [];
+      const wantedAliases = {};
+      for (const { version, platform = manifest.host, shasum = null, source, aliases = [] } of manifest.versions) {
+        const target = platform === manifest.host ? undefined : platform;
+        // A SHA-256 only identifies the archive of the platform it was recorded for.
+        const expectedShasum = (target || host) === platform ? shasum : null;
+        let dir = await this.resolve(version, { target });
+        if (dir) {
+          if (expectedShasum && receipts[dir] && receipts[dir].shasum !== expectedShasum) {
+            this.logger.warn(`${dir} was installed from a different archive than the manifest lists. Reinstall it to match.`);
+          }
+          present.push(dir);
+        } else {
+          dir = (await this.install(version, { target, shasum: expectedShasum || undefined, source, useDefaultAlias: false })).dir;
+          installed.push(dir);
+        }
+        for (const alias of aliases) wantedAliases[alias] = dir;
+      }
+
+      const aliases = await this.aliases();
+      for (const [alias, dir] of Object.entries(wantedAliases)) {
+        if (aliases[alias] !== dir) await this.setAlias(alias, dir);
+      }
+
+      let active = null;
+      let activated = false;
+      if (manifest.active) {
+        active = await this.resolve(manifest.active);
+        activated = active !== await this.getActiveVersionDir();
+        if (activated) await this.use(active);
+      }
+
+      const removed = [];
+      const removedAliases = [];
+      if (prune) {
+        const keep = new Set([...installed, ...present]);
+        for (const [dir] of await this.getInstalledVersions({ target: null })) {
+          if (keep.has(dir)) continue;
+          removedAliases.push(...(await this.remove(dir)).removedAliases);
+          removed.push(dir);
+        }
+        const linked = new Set((await this.getLinkedToolchains()).map(({ name }) => name));
+        for (const [alias, dir] of Object.entries(await this.aliases())) {
+          if (wantedAliases[alias] || linked.has(dir)) continue;
+          await this.unsetAlias(alias);
+          removedAliases.push(alias);
+        }
+      }
+      return { installed, present, active, activated, removed, removedAliases };
+    });
+  }
+
+  // --- Linked toolchains ---
+
+  /**
+   * Registers a Zig toolchain that zvm didn't install, such as a build from source or a fork,
+   * so it can be listed, aliased, activated and run by name like an install.
+   * @param {string} name - The name to register it under.
+   * @param {string} toolchainPath - The directory that contains the zig executable.
+   * @returns {Promise<{name: string, path: string, zigVersion: string}>}
+   * @throws {UsageError} If the name is taken or `<path>/zig version` doesn't run.
+   */
+  async link(name, toolchainPath) {
+    if (!name || !toolchainPath) throw new UsageError("Usage: zvm link <name> <path>");
+    if (!/^[A-Za-z][\w.-]*$/.test(name) || /^(zig|zls)-/.test(name) || [...LATEST_KEYWORDS, ...MASTER_KEYWORDS].includes(name)) {
+      throw new UsageError(`Invalid toolchain name "${name}". Start with a letter, use letters, digits, '.', '_' or '-', and avoid version keywords and the zig- and zls- prefixes.`);
+    }
+    return this.withLock(async () => {
+      const aliases = await this.aliases();
+      if (aliases[name]) throw new AliasError(`"${name}" is already an alias for ${aliases[name]}.`);
+      const linkPath = path.join(this.versionsDir, name);
+      const existing = (await this.getLinkedToolchains()).find(linked => linked.name === name);
+      if (existing) {
+        throw new UsageError(`"${name}" is already linked to ${existing.path}.`, { hint: `To replace it, run 'zvm unlink ${name}' first.` });
+      }
+
+      const dir = path.resolve(toolchainPath);
+      const zigPath = path.join(dir, 'zig');
+      let zigVersion;
+      try {
+        zigVersion = (await runCommand(`"${zigPath}"`, ['version'])).stdout.trim();
+      } catch (e) {
+        throw new UsageError(`${dir} is not a Zig toolchain: '${zigPath} version' did not run.`, {
+          hint: "Pass the directory that contains the zig executable, e.g. zig-out/bin of a source build.",
+        });
+      }
+
+      await fs.mkdir(this.versionsDir, { recursive: true });
+      const linkType = os.platform() === 'win32' ? 'junction' : 'dir';
+      await fs.symlink(dir, linkPath, linkType);
+      this.logger.success(`Linked ${name} (Zig ${zigVersion}) to ${dir}.`);
+      return { name, path: dir, zigVersion };
+    });
+  }
+
+  /**
+   * Unregisters a linked toolchain, deactivating it first if needed, and removes its aliases.
+   * Only the registration is removed; the toolchain's directory is never touched.
+   * @param {string} name - The linked toolchain's name.
+   * @returns {Promise<{name: string, path: string, removedAliases: string[]}>}
+   */
+  async unlink(name) {
+    if (!name) throw new UsageError("Usage: zvm unlink <name>");
+    return this.withLock(async () => {
+      const linked = (await this.getLinkedToolchains()).find(toolchain => toolchain.name === name);
+      if (!linked) {
+        const dir = await this.resolve(name);
+        throw new VersionNotFoundError(`"${name}" is not a linked toolchain.`, dir ? { hint: `To remove the install ${dir}, run: zvm uninstall ${name}` } : {});
+      }
+
+      if (name === await this.getActiveVersionDir()) {
+        this.logger.info(`${name} is currently active. Deactivating it first...`);
+        await this.deactivate();
+      }
+      await this.unsetGlobalVersionFor(name);
+      // Removes the symlink itself, not what it points to.
+      await fs.unlink(path.join(this.versionsDir, name));
+      this.logger.success(`Unlinked ${name}. ${linked.path} was left in place.`);
+
+      const removedAliases = await this.removeAliasesFor(name);
+      return { name, path: linked.path, removedAliases };
+    });
+  }
+
+  // --- ZLS ---
+
+  /**
+   * Makes a ZLS build available inside a Zig install directory, so it is on PATH whenever
+   * that version is active. Windows gets a copy since file symlinks need extra privileges there.
+   * @param {string} zigDir - The Zig install directory name.
+   * @param {string} zlsDir - The ZLS install directory name.
+   */
+  async linkZls(zigDir, zlsDir) {
+    const exeName = getZlsExecutableName();
+    const linkPath = path.join(this.versionsDir, zigDir, exeName);
+    if (os.platform() === 'win32') {
+      await fs.rm(linkPath, { force: true });
+      await fs.copyFile(path.join(this.versionsDir, zlsDir, exeName), linkPath);
+    } else {
+      await replaceSymlink(path.join('..', zlsDir, exeName), linkPath);
+    }
+  }
+
+  /**
+   * Resolves the Zig version a ZLS command applies to, defaulting to the active one.
+   * @param {string} [versionOrAlias] - The version or alias.
+   * @returns {Promise<string>} The Zig install directory name.
+   */
+  async resolveZlsTarget(versionOrAlias) {
+    const target = versionOrAlias || await this.getActiveVersionDir();
+    const zigDir = target && await this.resolve(target);
+    if (!zigDir) {
+      throw new VersionNotFoundError(target ? `Version "${target}" is not installed.` : "No version specified and no version is active.");
+    }
+    if ((await this.getLinkedToolchains()).some(({ name }) => name === zigDir)) {
+      throw new UsageError(`${zigDir} is a linked toolchain. zvm doesn't add ZLS to directories it doesn't manage.`);
+    }
+    return zigDir;
+  }
+
+  /**
+   * Asks the ZLS release index which ZLS build is compatible with a Zig version.
+   * @param {string} zigVersion - The full Zig version.
+   * @returns {Promise<{version: string, tarball: string, shasum: string, size: number|null}>}
+   */
+  async fetchZlsRelease(zigVersion) {
+    const { zlsIndexUrl } = await this.config();
+    const url = `${zlsIndexUrl}?zig_version=${encodeURIComponent(zigVersion)}&compatibility=only-runtime`;
+    const response = await this.fetch(url);
+    if (!response.ok) throw new Error(`Failed to fetch ZLS index: ${response.statusText}`);
+    const release = await response.json();
+    if (!release.version) {
+      throw new VersionNotFoundError(`No ZLS release is compatible with Zig ${zigVersion}: ${release.message || 'unknown reason'}`);
+    }
+
+    const { os_target, arch_target } = getPlatformInfo();
+    const artifact = release[`${arch_target}-${os_target}`];
+    if (!artifact) throw new VersionNotFoundError(`ZLS ${release.version} is not available for ${arch_target}-${os_target}.`);
+    return { version: release.version, tarball: artifact.tarball, shasum: artifact.shasum, size: Number(artifact.size) || null };
+  }
+
+  /**
+   * Installs the ZLS build compatible with an installed Zig version and links it into that version.
+   * ZLS builds live in `zls-<version>` directories next to the Zig installs and can be shared.
+   * The archive is checked against the SHA-256 from the ZLS index only: unlike Zig's, it is not
+   * signed with a key zvm knows, so a compromised index could serve a matching bad build.
+   * @param {string} [versionOrAlias] - The Zig version or alias. Defaults to the active version.
+   * @returns {Promise<{version: string, dir: string, zigDir: string}>}
+   */
+  async installZls(versionOrAlias) {
+    return this.withLock(async () => {
+      const zigDir = await this.resolveZlsTarget(versionOrAlias);
+      const zigVersion = getDirVersion(zigDir);
+      this.logger.info(`Looking up the ZLS release for Zig ${zigVersion}...`);
+      const release = await this.fetchZlsRelease(zigVersion);
+      const zlsDir = `zls-${release.version}`;
+      const zlsPath = path.join(this.versionsDir, zlsDir);
+
+      try {
+        await fs.access(zlsPath);
+        this.logger.info(`ZLS ${release.version} is already installed.`);
+      } catch (e) {
+        const filename = path.basename(new URL(release.tarball).pathname);
+        const cachedPath = path.join(this.cacheDir, release.shasum, filename);
+        try {
+          await fs.access(cachedPath);
+        } catch (e) {
+          this.logger.info(`  Downloading ZLS ${release.version} from: ${release.tarball}`);
+          const partialFile = this.getPartialPath(release.tarball, filename, release.shasum);
+          await fs.mkdir(this.partialDir, { recursive: true });
+          const downloadedFile = await this.downloadWithResume(release.tarball, partialFile, { size: release.size });
+          const { sha256 } = await hashFile(downloadedFile);
+          if (sha256 !== release.shasum) {
+            await fs.rm(downloadedFile, { force: true });
+            throw new VerificationError(`SHA-256 mismatch for ZLS (expected ${release.shasum}, got ${sha256})`);
+          }
+          this.logger.debug(`ZLS ${release.version} matches the SHA-256 from the ZLS index; ZLS builds have no signature check.`);
+          await fs.mkdir(path.dirname(cachedPath), { recursive: true });
+          await fs.rename(downloadedFile, cachedPath);
+        }
+
+        await fs.mkdir(this.stagingDir, { recursive: true });
+        const tempPath = await fs.mkdtemp(path.join(this.stagingDir, `${zlsDir}-`));
+        try {
+          await extractArchive(cachedPath, tempPath, { systemTar: this.systemTar });
+          await renameWithRetry(tempPath, zlsPath, this.logger);
+        } catch (e) {
+          await fs.rm(tempPath, { recursive: true, force: true });
+          throw e;
+        }
+      }
+
+      await this.linkZls(zigDir, zlsDir);
+      this.logger.success(`ZLS ${release.version} is installed for ${zigDir}.`);
+      return { version: release.version, dir: zlsDir, zigDir };
+    });
+  }
+
+  /**
+   * Switches a Zig version to an installed ZLS build.
+   * @param {string} zlsVersion - The ZLS version.
+   * @param {string} [versionOrAlias] - The Zig version or alias. Defaults to the active version.
+   * @returns {Promise<string>} The Zig install directory name.
+   */
+  async useZls(zlsVersion, versionOrAlias) {
+    return this.withLock(async () => {
+      if (!zlsVersion) throw new UsageError("Usage: zvm zls use <zls-version> [zig-version]");
+      const zigDir = await this.resolveZlsTarget(versionOrAlias);
+      const zlsDir = `zls-${zlsVersion}`;
+      try {
+        await fs.access(path.join(this.versionsDir, zlsDir));
+      } catch (e) {
+        throw new VersionNotFoundError(`ZLS ${zlsVersion} is not installed. Run 'zvm zls install' for a compatible build.`);
+      }
+      await this.linkZls(zigDir, zlsDir);
+      this.logger.success(`${zigDir} now uses ZLS ${zlsVersion}.`);
+      return zigDir;
+    });
+  }
+
+  /**
+   * Lists the installed ZLS builds and the Zig versions linked to each.
+   * @returns {Promise<Array<{name: string, usedBy: string[]}>>}
+   */
+  async listZls() {
+    let dirs = [];
+    try {
+      dirs = await fs.readdir(this.versionsDir);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    const usedBy = {};
+    for (const zigDir of dirs.filter(dir => dir.startsWith('zig-'))) {
+      try {
+        const target = await fs.readlink(path.join(this.versionsDir, zigDir, getZlsExecutableName()));
+        const zlsDir = path.basename(path.dirname(target));
+        usedBy[zlsDir] = [...(usedBy[zlsDir] || []), zigDir];
+      } catch (e) { /* no ZLS linked, or a copy on Windows */ }
+    }
+    return dirs.filter(dir => dir.startsWith('zls-')).map(dir => ({ name: dir, usedBy: usedBy[dir] || [] }));
+  }
+
+  // --- Activation ---
+
+  /**
+   * Finds the install a command such as `use` acts on: the given version or alias, else the
+   * one the project's .zig-version or build.zig.zon asks for, else the global default.
+   * @param {string} [versionOrAlias] - The version or alias.
+   * @returns {Promise<string>} The install directory name.
+   * @throws {VersionNotFoundError} If it is not installed.
+   */
+  async resolveRequested(versionOrAlias) {
+    if (versionOrAlias) {
+      const dir = await this.resolve(versionOrAlias);
+      if (!dir) {
+        throw new VersionNotFoundError(`Version "${versionOrAlias}" is not installed.`, { hint: `To install it, run: zvm install ${versionOrAlias}` });
+      }
+      return dir;
+    }
+
+    const project = await findProjectVersion();
+    if (!project) {
+      const globalVersion = await this.globalVersion();
+      if (!globalVersion) {
+        throw new UsageError("No version specified, no .zig-version or build.zig.zon file found in the current directory or parents, and no global default is set.");
+      }
+      this.logger.info(`Using the global default: ${globalVersion}`);
+      const dir = await this.resolve(globalVersion);
+      return this.requireSelected({ dir, requested: globalVersion, source: 'global', file: this.globalVersionFile });
+    }
+    const { dir, requested, file } = await this.resolveProjectVersion(project);
+    this.logger.info(`Found ${file}, attempting to use: ${requested}`);
+    if (!dir) {
+      throw new VersionNotFoundError(`No installed version matches "${requested}".`, { hint: "To install it, run: zvm install" });
+    }
+    return dir;
+  }
+
+  /**
+   * Sets a version as the active one by creating a symlink. Without a version, activates
+   * what the project's .zig-version or build.zig.zon asks for.
+   * @param {string} [versionOrAlias] - The version or alias to activate.
+   * @returns {Promise<{dir: string, path: string}>}
+   */
+  async use(versionOrAlias) {
+    return this.withLock(async () => {
+      const dirToActivate = await this.resolveRequested(versionOrAlias);
+      this.checkRunnable(dirToActivate);
+
+      const sourceDir = path.join(this.versionsDir, dirToActivate);
+      await fs.mkdir(this.shimsDir, { recursive: true });
+
+      this.logger.info(`Activating ${dirToActivate}...`);
+      const linkType = os.platform() === 'win32' ? 'junction' : 'dir';
+      await replaceSymlink(sourceDir, this.activeLink, linkType);
+
+      this.logger.success(`Now using ${dirToActivate}.`);
+      return { dir: dirToActivate, path: sourceDir };
+    });
+  }
+
+  /**
+   * Deactivates any active version by removing the symlink. The global default, if set, then applies.
+   * @returns {Promise<boolean>} False if no version was active.
+   */
+  async deactivate() {
+    return this.withLock(async () => {
+      try {
+        await fs.unlink(this.activeLink);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        this.logger.info("No version is currently active.");
+        return false;
+      }
+      const globalVersion = await this.globalVersion();
+      this.logger.success(globalVersion
+        ? `Deactivated Zig. The global default ${globalVersion} applies again.`
+        : "Deactivated Zig. No version is currently active.");
+      return true;
+    });
+  }
+
+  /**
+   * Reads the global default version.
+   * @returns {Promise<string|null>} The version, or the name of a linked toolchain. Null if none is set.
+   */
+  async globalVersion() {
+    try {
+      return (await fs.readFile(this.globalVersionFile, 'utf-8')).trim() || null;
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Sets the global default version and activates it. The global default applies where no
+   * ZVM_VERSION, project version file or version activated with `use` does, such as after
+   * `deactivate`. Aliases are stored as the version they point to.
+   * @param {string} versionOrAlias - The version or alias.
+   * @returns {Promise<{dir: string, version: string}>} `version` is what was stored.
+   */
+  async setGlobalVersion(versionOrAlias) {
+    if (!versionOrAlias) throw new UsageError("Usage: zvm global <version> OR zvm global --unset");
+    return this.withLock(async () => {
+      const dir = await this.resolveRequested(versionOrAlias);
+      this.checkRunnable(dir);
+      const version = getDirVersion(dir) || dir; // Linked toolchains are stored by name
+      await fs.mkdir(this.dir, { recursive: true });
+      await writeFileAtomic(this.globalVersionFile, `${version}\n`);
+      this.logger.success(`The global default is now ${version}.`);
+      await this.use(dir);
+      return { dir, version };
+    });
+  }
+
+  /**
+   * Removes the global default version. The active version is left as it is.
+   * @returns {Promise<boolean>} False if no global default was set.
+   */
+  async unsetGlobalVersion() {
+    return this.withLock(async () => {
+      try {
+        await fs.unlink(this.globalVersionFile);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        this.logger.info("No global default is set.");
+        return false;
+      }
+      this.logger.success("Unset the global default.");
+      return true;
+    });
+  }
+
+  /**
+   * Unsets the global default if it refers to an install that is about to be removed.
+   * @param {string} dir - The install directory name or linked toolchain name.
+   * @returns {Promise<boolean>} Whether it was unset.
+   */
+  async unsetGlobalVersionFor(dir) {
+    const globalVersion = await this.globalVersion();
+    if (!globalVersion || await this.resolve(globalVersion) !== dir) return false;
+    await fs.rm(this.globalVersionFile, { force: true });
+    this.logger.info(`Unset the global default, which was ${globalVersion}.`);
+    return true;
+  }
+
+  /**
+   * Pins a directory to a version by writing its .zig-version file. Aliases and install
+   * directory names are written as the version they stand for, so the file works on machines
+   * without them; version specs such as `0.14` are written as given.
+   * @param {string} versionSpec - A version spec or alias.
+   * @param {{dir?: string}} [options] - Where to write the file. Defaults to the current directory.
+   * @returns {Promise<{file: string, version: string, dir: string|null}>} `dir` is the install that
+   *   matches, or null if none is installed yet.
+   * @throws {VersionNotFoundError} If the version is neither installed nor listed in the Zig index.
+   */
+  async setLocalVersion(versionSpec, { dir = process.cwd() } = {}) {
+    if (!versionSpec) throw new UsageError("Usage: zvm local <version>");
+    const installDir = await this.resolve(versionSpec);
+    const isLinked = (await this.getLinkedToolchains()).some(({ name }) => name === installDir);
+    if (isLinked) {
+      throw new UsageError(`${versionSpec} refers to the linked toolchain ${installDir}, which other machines don't have.`, {
+        hint: "Pin a Zig version instead, e.g. the one 'zig version' reports.",
+      });
+    }
+
+    let version = versionSpec;
+    if ((await this.aliases())[versionSpec] || versionSpec.startsWith('zig-')) {
+      if (!installDir) throw new VersionNotFoundError(`Version "${versionSpec}" is not installed.`);
+      version = getDirVersion(installDir);
+    } else if (!installDir) {
+      let index = null;
+      try {
+        index = await this.fetchIndex();
+      } catch (e) {
+        this.logger.warn(`Could not fetch the Zig index to check "${versionSpec}": ${e.message}`);
+      }
+      if (index) {
+        const listed = parseZigVersion(versionSpec)
+          ? Boolean(index[versionSpec]) || index.master?.version === versionSpec
+          : Boolean(selectVersion(versionSpec, [...Object.keys(index).filter(v => parseZigVersion(v)), index.master?.version].filter(Boolean)));
+        if (!listed) throw new VersionNotFoundError(`Zig ${versionSpec} is neither installed nor listed in the Zig index.`);
+      } else if (!parseZigVersion(versionSpec)) {
+        throw new VersionNotFoundError(`"${versionSpec}" is not an installed version, an alias or a full version.`);
+      }
+    }
+
+    const file = path.join(path.resolve(dir), '.zig-version');
+    await writeFileAtomic(file, `${version}\n`);
+    this.logger.success(`Pinned ${path.dirname(file)} to Zig ${version}.`);
+    return { file, version, dir: installDir };
+  }
+
+  /**
+   * Runs a command with a version's directory first on PATH, without activating it.
+   * ZVM_VERSION is set as well, so zvm shims started by the command pick the same version.
+   * stdio is inherited.
+   * @param {string} versionOrAlias - The version or alias to run under.
+   * @param {string} command - The command to run.
+   * @param {string[]} [commandArgs] - Arguments for the command.
+   * @returns {Promise<number>} The command's exit code.
+   */
+  async exec(versionOrAlias, command, commandArgs = []) {
+    if (!versionOrAlias || !command) {
+      throw new UsageError("Usage: zvm exec <v|a> -- <command> [args...] OR zvm run <v|a> [zig args...]");
+    }
+    const dir = await this.resolve(versionOrAlias);
+    if (!dir) {
+      throw new VersionNotFoundError(`Version "${versionOrAlias}" is not installed.`, { hint: `To install it, run: zvm install ${versionOrAlias}` });
+    }
+    this.checkRunnable(dir);
+
+    // Keep the existing spelling of PATH, so it isn't duplicated on Windows.
+    const pathKey = getPathKey();
+    const env = {
+      ...process.env,
+      [pathKey]: `${path.join(this.versionsDir, dir)}${path.delimiter}${process.env[pathKey] || ''}`,
+      ZVM_VERSION: dir,
+    };
+
+    // Windows can't start a command without its extension, and batch files only run through
+    // cmd, so resolve the command instead of leaving the arguments to a shell.
+    let file = command;
+    let args = commandArgs;
+    let windowsVerbatimArguments = false;
+    if (os.platform() === 'win32') {
+      file = await findExecutable(command, env[pathKey]);
+      if (!file) throw new ZvmError(`Command not found: ${command}`);
+      if (/\.(bat|cmd)$/i.test(file)) {
+        args = ['/d', '/s', '/c', `"${[file, ...commandArgs].map(quoteForCmd).join(' ')}"`];
+        file = process.env.ComSpec || 'cmd.exe';
+        windowsVerbatimArguments = true;
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(file, args, { stdio: 'inherit', env, windowsVerbatimArguments });
+      // The terminal delivers Ctrl+C to the child too; stay alive to report its exit code.
+      const ignoreInterrupt = () => {};
+      const forwardTerminate = () => child.kill('SIGTERM');
+      process.on('SIGINT', ignoreInterrupt);
+      process.on('SIGTERM', forwardTerminate);
+      const cleanup = () => {
+        process.off('SIGINT', ignoreInterrupt);
+        process.off('SIGTERM', forwardTerminate);
+      };
+      child.on('error', (err) => {
+        cleanup();
+        reject(err.code === 'ENOENT' ? new ZvmError(`Command not found: ${command}`) : err);
+      });
+      child.on('close', (code, signal) => {
+        cleanup();
+        resolve(code ?? 128 + (os.constants.signals[signal] || 0));
+      });
+    });
+  }
+
+  // --- Documentation ---
+
+  /**
+   * Serves the documentation that ships with an install on a local HTTP server: the language
+   * reference, or with `std` the standard library docs. Versions that don't ship std docs
+   * generate them with `zig std`, which runs in the foreground and serves them itself.
+   * The version is chosen like `use` does.
+   * @param {string} [versionOrAlias] - The version or alias.
+   * @param {{std?: boolean, port?: number|string, open?: boolean}} [options] - `port` defaults to
+   *   any free one. `open` also opens the docs in the default browser.
+   * @returns {Promise<{dir: string, url: string|null, server: http.Server|null, exitCode: number|null}>}
+   *   Close `server` to stop serving. When `zig std` ran, `url` and `server` are null and
+   *   `exitCode` is its exit code.
+   */
+  async docs(versionOrAlias, { std = false, port = 0, open = false } = {}) {
+    const portNumber = Number(port);
+    if (!Number.isInteger(portNumber) || portNumber < 0 || portNumber > 65535) {
+      throw new UsageError(`Invalid port "${port}".`);
+    }
+    const dir = await this.resolveRequested(versionOrAlias);
+    // Archives keep the docs in doc/ (docs/ in old releases), source builds in zig-out/doc next to zig-out/bin.
+    const installPath = await fs.realpath(path.join(this.versionsDir, dir));
+    const [subdir, page] = std ? ['std', ''] : ['', 'langref.html'];
+    let root = null;
+    for (const docDir of ['doc', 'docs', path.join('..', 'doc')]) {
+      const candidate = path.join(installPath, docDir, subdir);
+      try {
+        await fs.access(path.join(candidate, page || 'index.html'));
+        root = candidate;
+        break;
+      } catch (e) { /* Not here */ }
+    }
+
+    if (!root) {
+      if (!std) throw new ZvmError(`${dir} doesn't include the language reference.`);
+      const version = getDirVersion(dir);
+      if (version && compareZigVersions(version, '0.12.0') < 0) {
+        throw new ZvmError(`Zig ${version} includes no standard library docs and has no 'zig std' command to generate them.`);
+      }
+      this.logger.info(`Generating the standard library docs of ${dir} with 'zig std'. Press Ctrl+C to stop.`);
+      const args = ['std', ...(portNumber ? ['--port', String(portNumber)] : []), open ? '--open-browser' : '--no-open-browser'];
+      return { dir, url: null, server: null, exitCode: await this.exec(dir, 'zig', args) };
+    }
+
+    const server = await serveDirectory(root, portNumber);
+    const url = `http://127.0.0.1:${server.address().port}/${page}`;
+    if (open) {
+      try {
+        await openInBrowser(url);
+      } catch (e) {
+        this.logger.warn(`Could not open a browser (${e.message}). Open the URL yourself.`);
+      }
+    }
+    return { dir, url, server, exitCode: null };
+  }
+
+  // --- Mirrors, downloads and the cache ---
+
+  /**
+   * Reads the cached mirror ranking along with the user's pinned and excluded mirrors.
+   * @returns {Promise<{probedAt: number, pinned: string[], excluded: string[], mirrors: Object.<string, {latency: number|null, ok: boolean, failedAt: number[], lastProbe: number}>}>}
+   */
+  async getMirrorState() {
+    const defaults = { probedAt: 0, pinned: [], excluded: [], mirrors: {} };
+    try {
+      const content = await fs.readFile(this.mirrorsFile, 'utf-8');
+      return { ...defaults, ...JSON.parse(content) };
+    } catch (e) {
+      if (e.code === 'ENOENT') return defaults; // Never probed yet
+      throw e;
+    }
+  }
+
+  /**
+   * Saves the mirror ranking state.
+   * @param {Object} state - The state returned by getMirrorState.
+   */
+  async saveMirrorState(state) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await writeFileAtomic(this.mirrorsFile, JSON.stringify(state, null, 2));
+  }
+
+  /**
+   * Measures how long a mirror takes to answer a HEAD request.
+   * @param {string} mirrorUrl - The mirror base URL.
+   * @returns {Promise<{ok: boolean, latency: number|null}>}
+   */
+  async probeMirror(mirrorUrl) {
+    const start = Date.now();
+    try {
+      const response = await this.fetch(`${mirrorUrl}/`, { method: 'HEAD' }, { timeout: MIRROR_PROBE_TIMEOUT, retries: 0 });
+      // Mirrors need not serve an index page, so only server errors count as unavailable.
+      if (response.status >= 500) return { ok: false, latency: null };
+      return { ok: true, latency: Date.now() - start };
+    } catch (e) {
+      return { ok: false, latency: null };
+    }
+  }
+
+  /**
+   * Tells whether the mirror ranking is missing configured mirrors, or still lists community
+   * mirrors after fetching them was turned off.
+   * @param {Object} state - The mirror state.
+   * @returns {Promise<boolean>}
+   */
+  async mirrorListChanged(state) {
+    const { mirrors, fetchMirrors } = await this.config();
+    const known = new Set([...mirrors, ...state.pinned]);
+    return mirrors.some(url => !state.mirrors[url])
+      || (!fetchMirrors && Object.keys(state.mirrors).some(url => !known.has(url)));
+  }
+
+  /**
+   * Fetches the community mirror list, unless turned off, and probes every listed,
+   * configured and pinned mirror concurrently. Read `state` inside the same withLock call, so
+   * the save doesn't overwrite changes another process made in between.
+   * @param {Object} state - The current mirror state, updated in place and saved.
+   */
+  async refreshMirrorRanking(state) {
+    return this.withLock(async () => {
+      const config = await this.config();
+      let listed = [];
+      if (config.fetchMirrors) {
+        const response = await this.fetch(config.mirrorsUrl, {}, { timeout: MIRROR_PROBE_TIMEOUT });
+        if (!response.ok) throw new Error(`Failed to fetch mirror list: ${response.statusText}`);
+        listed = (await response.text()).split('\n')
+          .map(url => url.trim().replace(/\/+$/, ''))
+          .filter(url => url.startsWith("https://"));
+      }
+
+      const probed = [...new Set([...listed, ...config.mirrors, ...state.pinned])];
+      const results = await Promise.all(probed.map(url => this.probeMirror(url)));
+      const now = Date.now();
+      const mirrors = {};
+      probed.forEach((url, i) => {
+        const failedAt = getRecentFailures(state.mirrors[url], now);
+        mirrors[url] = {
+          latency: results[i].latency,
+          ok: results[i].ok,
+          failedAt: results[i].ok ? failedAt : [...failedAt, now],
+          lastProbe: now,
+        };
+      });
+
+      state.mirrors = mirrors;
+      state.probedAt = now;
+      await this.saveMirrorState(state);
+    });
+  }
+
+  /**
+   * Returns the community mirrors in download order, re-probing them when the cached ranking has expired.
+   * @param {{refresh?: boolean}} [options] - Set `refresh` to probe regardless of the cache age.
+   * @returns {Promise<string[]>}
+   */
+  async getRankedMirrors({ refresh = false } = {}) {
+    return this.withLock(async () => {
+      const state = await this.getMirrorState();
+      if (refresh || Date.now() - state.probedAt > MIRROR_RANKING_TTL || await this.mirrorListChanged(state)) {
+        this.logger.info("  Probing mirrors...");
+        try {
+          await this.refreshMirrorRanking(state);
+        } catch (e) {
+          this.logger.warn(`Could not refresh community mirrors: ${e.message}. Using the last known ranking.`);
+        }
+      }
+      return rankMirrors(state);
+    });
+  }
+
+  /**
+   * Counts a failed download against a mirror so it ranks lower for the next MIRROR_RANKING_TTL.
+   * @param {string} mirrorUrl - The mirror base URL.
+   */
+  async recordMirrorFailure(mirrorUrl) {
+    return this.withLock(async () => {
+      const state = await this.getMirrorState();
+      const mirror = state.mirrors[mirrorUrl];
+      if (!mirror) return; // Not a community mirror (e.g. the canonical URL)
+      const now = Date.now();
+      state.mirrors[mirrorUrl] = {
+        latency: mirror.latency,
+        ok: mirror.ok,
+        failedAt: [...getRecentFailures(mirror, now), now],
+        lastProbe: mirror.lastProbe,
+      };
+      await this.saveMirrorState(state);
+    });
+  }
+
+  /**
+   * Returns the mirror ranking, probing first if it never was or `refresh` is set.
+   * @param {{refresh?: boolean}} [options]
+   * @returns {Promise<{probedAt: number, mirrors: Array<{url: string, ok: boolean|null, latency: number|null, failures: number|null, pinned: boolean}>, excluded: string[]}>}
+   *   Mirrors in download order; `ok` is null for pinned mirrors that were never probed, and
+   *   `failures` counts the failures within the last hour.
+   */
+  async mirrors({ refresh = false } = {}) {
+    return this.withLock(async () => {
+      const state = await this.getMirrorState();
+      if (refresh) {
+        this.logger.info("Probing mirrors...");
+        await this.refreshMirrorRanking(state);
+      } else if (state.probedAt === 0) {
+        this.logger.info("Mirrors have not been probed yet. Probing now...");
+        await this.refreshMirrorRanking(state);
+      } else if (await this.mirrorListChanged(state)) {
+        this.logger.info("The configured mirrors changed. Probing again...");
+        await this.refreshMirrorRanking(state);
+      }
+      return {
+        probedAt: state.probedAt,
+        mirrors: rankMirrors(state).map(url => ({
+          url,
+          ok: state.mirrors[url]?.ok ?? null,
+          latency: state.mirrors[url]?.latency ?? null,
+          failures: state.mirrors[url] ? getRecentFailures(state.mirrors[url]).length : null,
+          pinned: state.pinned.includes(url),
+        })),
+        excluded: state.excluded,
+      };
+    });
+  }
+
+  /**
+   * Pins, unpins, excludes or includes a mirror.
+   * @param {string} action - One of pin, unpin, exclude or include.
+   * @param {string} mirrorUrl - The mirror base URL.
+   */
+  async setMirrorPreference(action, mirrorUrl) {
+    return this.withLock(async () => {
+      const url = mirrorUrl?.trim().replace(/\/+$/, '');
+      if (!['pin', 'unpin', 'exclude', 'include'].includes(action) || !url) {
+        throw new UsageError(`Usage: zvm mirrors ${action} <url>`);
+      }
+      const state = await this.getMirrorState();
+      const listName = action === 'pin' || action === 'unpin' ? 'pinned' : 'excluded';
+      const adding = action === 'pin' || action === 'exclude';
+      state[listName] = state[listName].filter(u => u !== url);
+      if (adding) state[listName].push(url);
+      await this.saveMirrorState(state);
+      this.logger.success(adding ? `Added ${url} to ${listName} mirrors.` : `Removed ${url} from ${listName} mirrors.`);
+    });
+  }
+
+  /**
+   * Returns where a download is kept while it is incomplete. With a known SHA-256 the name is
+   * keyed by it, so any mirror can resume the download; otherwise it is keyed by the URL, so
+   * files of the same name from different sources are never mixed up.
+   * @param {string} url - The URL being downloaded.
+   * @param {string} filename - The file's name.
+   * @param {string|null} expectedShasum - The file's SHA-256, if known.
+   * @returns {string}
+   */
+  getPartialPath(url, filename, expectedShasum) {
+    const key = expectedShasum || crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+    return path.join(this.partialDir, `${key}-${filename}.part`);
+  }
+
+  /**
+   * Takes over a partial download by renaming it to a name of this process's own, so two zvm
+   * homes sharing a download cache never write to the same file. A copy another process left
+   * behind is taken over too, once that process has exited or stopped writing to it.
+   * @param {string} partialFile - The partial download's shared path.
+   * @returns {Promise<string>} The file for this process to download into. It may not exist yet.
+   */
+  async claimPartialDownload(partialFile) {
+    const claimed = `${partialFile}.${os.hostname()}.${process.pid}`;
+    const prefix = `${path.basename(partialFile)}.`;
+    const leftovers = (await fs.readdir(this.partialDir)).filter(file => file.startsWith(prefix));
+    for (const candidate of [partialFile, ...leftovers.map(file => path.join(this.partialDir, file))]) {
+      if (candidate !== partialFile) {
+        const [, host, pid] = /^(.*)\.(\d+)$/.exec(candidate.slice(partialFile.length + 1)) || [];
+        let stats;
+        try {
+          stats = await fs.stat(candidate);
+        } catch (e) {
+          if (e.code === 'ENOENT') continue;
+          throw e;
+        }
+        let stale = Date.now() - stats.mtimeMs > LOCK_STALE_AFTER;
+        if (!stale && host === os.hostname()) {
+          try {
+            process.kill(Number(pid), 0); // Signal 0 only checks that the process exists
+          } catch (e) {
+            stale = e.code === 'ESRCH';
+          }
+        }
+        if (!stale) continue;
+      }
+      try {
+        await fs.rename(candidate, claimed);
+        return claimed;
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e; // Someone else claimed it first
+      }
+    }
+    return claimed;
+  }
+
+  /**
+   * Downloads a URL, resuming a partial download with an HTTP Range request. The partial file
+   * is claimed for this process while downloading, and put back for a later attempt on failure.
+   * A partial file larger than the expected size can't be resumed, so it is started over.
+   * @param {string} url - The URL to download.
+   * @param {string} partialFile - The partial download's shared path, from getPartialPath.
+   * @param {{size?: number|null}} [options] - The expected size in bytes, if known.
+   * @returns {Promise<string>} The complete file, owned by this process until it is moved or removed.
+   */
+  async downloadWithResume(url, partialFile, { size = null } = {}) {
+    const destination = await this.claimPartialDownload(partialFile);
+    try {
+      let offset = 0;
+      try {
+        offset = (await fs.stat(destination)).size;
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      if (size && offset > size) {
+        this.logger.debug(`Discarding ${destination}: it is larger than the ${size} bytes expected.`);
+        await fs.rm(destination, { force: true });
+        offset = 0;
+      }
+      if (size && offset === size) return destination; // Complete already, so nothing to request
+
+      let response = await this.fetch(url, offset > 0 ? { headers: { Range: `bytes=${offset}-` } } : {});
+      if (offset > 0 && response.status === 416) return destination; // The partial file is already complete
+      if (!response.ok) throw new Error(`Download failed: ${response.statusText}`);
+      const rangeStart = /^bytes (\d+)-/.exec(response.headers.get('content-range') || '');
+      if (offset > 0 && response.status === 206 && rangeStart && Number(rangeStart[1]) === offset) {
+        this.logger.info(`  Resuming download at ${formatBytes(offset)}...`);
+      } else if (offset > 0 && response.status === 206) {
+        // The server sent some other range, which can't be appended, so start over
+        this.logger.debug(`  Expected a range starting at ${offset}, got ${response.headers.get('content-range')}`);
+        await response.body?.cancel();
+        response = await this.fetch(url);
+        if (!response.ok) throw new Error(`Download failed: ${response.statusText}`);
+        offset = 0;
+      } else {
+        offset = 0; // The server ignored the range, so start over
+      }
+
+      const length = Number(response.headers.get('content-length'));
+      const progress = createProgressBar(length ? offset + length : null, offset, this.progress);
+      const file = await fs.open(destination, offset > 0 ? 'a' : 'w');
+      try {
+        for await (const chunk of response.body) {
+          await file.write(chunk);
+          progress.update(chunk.length);
+        }
+      } finally {
+        await file.close();
+        progress.done();
+      }
+      return destination;
+    } catch (e) {
+      try {
+        await fs.rename(destination, partialFile); // Leave it for the next attempt to resume
+      } catch (renameError) { /* Nothing was downloaded */ }
+      throw e;
+    }
+  }
+
+  /**
+   * Looks for an already downloaded archive in the cache and re-verifies it.
+   * @param {string[]} filenames - The potential archive filenames.
+   * @param {string|null} expectedShasum - The SHA-256 from the Zig index, if available.
+   * @returns {Promise<string|null>} The path of the cached archive, or null on a cache miss.
+   */
+  async findCachedArchive(filenames, expectedShasum) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.cacheDir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+
+    const candidates = expectedShasum ? entries.filter(entry => entry === expectedShasum) : entries;
+    for (const shasum of candidates) {
+      for (const filename of filenames) {
+        const archivePath = path.join(this.cacheDir, shasum, filename);
+        let signatureText;
+        try {
+          signatureText = await fs.readFile(`${archivePath}.minisig`, 'utf-8');
+        } catch (e) {
+          continue;
+        }
+        try {
+          await verifyArchive(archivePath, signatureText, filename, shasum, this.minisignPublicKey);
+          return archivePath;
+        } catch (e) {
+          this.logger.warn(`Cached archive ${archivePath} is corrupt (${e.message}). Removing it.`);
+          await fs.rm(path.join(this.cacheDir, shasum), { recursive: true, force: true });
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks an archive on disk against its expected SHA-256 and, if a `.minisig` file lies next
+   * to it, against its signature. An archive with neither is installed with a warning.
+   * @param {string} file - The archive's path.
+   * @param {string|null} expectedShasum - The SHA-256 from the index or a manifest, if known.
+   * @returns {Promise<string>} The archive's SHA-256.
+   * @throws {VerificationError} If a check fails.
+   */
+  async verifyLocalArchive(file, expectedShasum) {
+    let signatureText = null;
+    try {
+      signatureText = await fs.readFile(`${file}.minisig`, 'utf-8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    if (signatureText !== null) {
+      return verifyArchive(file, signatureText, path.basename(file), expectedShasum, this.minisignPublicKey);
+    }
+
+    const { sha256 } = await hashFile(file);
+    if (expectedShasum && sha256 !== expectedShasum) {
+      throw new VerificationError(`SHA-256 mismatch (expected ${expectedShasum}, got ${sha256})`);
+    }
+    if (!expectedShasum) {
+      this.logger.warn(`No SHA-256 is known for ${path.basename(file)} and no signature lies next to it, so it can't be verified.`);
+    }
+    return sha256;
+  }
+
+  /**
+   * Returns a verified archive, from the download cache when possible, otherwise by trying
+   * multiple sources in serial order. A source that fails or serves a bad archive is skipped,
+   * along with its other filenames, and an interrupted download is resumed from the next source.
+   * @param {string[]} baseUrls - An array of base URLs (mirrors) to try.
+   * @param {string[]} filenames - An array of potential filenames to try.
+   * @param {string|null} expectedShasum - The SHA-256 from the Zig index, if available.
+   * @returns {Promise<{downloadedFile: string}>} The path of the archive in the cache.
+   */
+  async attemptDownload(baseUrls, filenames, expectedShasum) {
+    const cachedFile = await this.findCachedArchive(filenames, expectedShasum);
+    if (cachedFile) {
+      this.logger.success(`Using cached archive: ${cachedFile}`);
+      return { downloadedFile: cachedFile };
+    }
+    if ((await this.config()).offline) {
+      throw new DownloadError(`${filenames.join(' or ')} is not in the download cache, and zvm is offline.`, {
+        hint: "Install an archive you have on disk with: zvm install --from-file <archive>",
+      });
+    }
+
+    await fs.mkdir(this.partialDir, { recursive: true });
+    for (const baseUrl of baseUrls) {
+      for (const filename of filenames) {
+        const url = `${baseUrl}/${filename}`;
+        const partialFile = this.getPartialPath(url, filename, expectedShasum);
+        try {
+          const headResponse = await this.fetch(url, { method: 'HEAD' });
+          if (!headResponse.ok) continue;
+
+          this.logger.info(`  Attempting download from: ${url}`);
+          const size = Number(headResponse.headers.get('content-length')) || null;
+          const downloadedFile = await this.downloadWithResume(url, partialFile, { size });
+
+          const signatureResponse = await this.fetch(`${url}.minisig`);
+          if (!signatureResponse.ok) throw new Error(`Could not fetch signature: ${signatureResponse.statusText}`);
+          const signatureText = await signatureResponse.text();
+          let shasum;
+          try {
+            shasum = await verifyArchive(downloadedFile, signatureText, filename, expectedShasum, this.minisignPublicKey);
+          } catch (e) {
+            await fs.rm(downloadedFile, { force: true }); // Don't resume from bad data
+            throw e;
+          }
+
+          const entryDir = path.join(this.cacheDir, shasum);
+          const cachedPath = path.join(entryDir, filename);
+          await fs.mkdir(entryDir, { recursive: true });
+          await fs.writeFile(`${cachedPath}.minisig`, signatureText);
+          await fs.rename(downloadedFile, cachedPath);
+          this.logger.success(`Download verified from: ${url}`);
+          return { downloadedFile: cachedPath };
+        } catch (e) {
+          this.logger.warn(`Failed to process URL ${url}. Error: ${e.message}. Trying next...`);
+          await this.recordMirrorFailure(baseUrl);
+          break; // Its other filenames are no more trustworthy
+        }
+      }
+    }
+    throw new DownloadError("Failed to download Zig from all available mirrors and the canonical source.");
+  }
+
+  /**
+   * Lists the files in the download cache.
+   * @returns {Promise<Array<{file: string, size: number, shasum: string|null, partial: boolean}>>}
+   *   `shasum` is null for partial downloads.
+   */
+  async cacheList() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.cacheDir);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const partial = entry === path.basename(this.partialDir);
+      for (const file of await fs.readdir(path.join(this.cacheDir, entry))) {
+        if (file.endsWith('.minisig')) continue;
+        const { size } = await fs.stat(path.join(this.cacheDir, entry, file));
+        files.push({ file, size, shasum: partial ? null : entry, partial });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Removes the download cache.
+   * @returns {Promise<number>} The number of bytes freed.
+   */
+  async cacheClean() {
+    return this.withLock(async () => {
+      let size = 0;
+      try {
+        size = await getDirectorySize(this.cacheDir);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      await fs.rm(this.cacheDir, { recursive: true, force: true });
+      this.logger.success(`Removed the download cache (${formatBytes(size)} freed).`);
+      return size;
+    });
+  }
+
+  // --- Shell integration ---
+
+  /**
+   * Lists the files that `init` writes for this platform: the shim executables, the shell
+   * setup scripts and the tab completion scripts they load.
+   * @returns {Array<{file: string, content: string, mode?: number}>}
+   */
+  getShellFiles() {
+    if (os.platform() === 'win32') {
+      return [
+        ...SHIM_EXECUTABLES.map(executable => ({ file: path.join(this.shimBinDir, `${executable}.cmd`), content: getCmdShimScript(executable) })),
+        { file: path.join(this.dir, 'zvm.ps1'), content: getPowerShellScript(this) },
+        { file: path.join(this.completionsDir, 'zvm.ps1'), content: getCompletionScript('powershell') },
+      ];
+    }
+    return [
+      ...SHIM_EXECUTABLES.map(executable => ({ file: path.join(this.shimBinDir, executable), content: getShimScript(executable, this), mode: 0o755 })),
+      { file: path.join(this.dir, 'zvm.sh'), content: getShellScript(this) },
+      { file: path.join(this.dir, 'zvm.fish'), content: getFishScript(this) },
+      ...['bash', 'zsh', 'fish'].map(shell => ({ file: path.join(this.completionsDir, `zvm.${shell}`), content: getCompletionScript(shell) })),
+    ];
+  }
+
+  /**
+   * Writes the shims, the shell setup scripts and the completion scripts.
+   * @returns {Promise<Object.<string, string>>} The setup script paths, keyed by shell
+   *   (`powershell` on Windows, `sh` and `fish` elsewhere).
+   */
+  async init() {
+    this.logger.info("Configuring your shell for zvm...");
+    for (const { file, content, mode } of this.getShellFiles()) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await writeFileAtomic(file, content, mode ? { mode } : undefined);
+    }
+    return os.platform() === 'win32'
+      ? { powershell: path.join(this.dir, 'zvm.ps1') }
+      : { sh: path.join(this.dir, 'zvm.sh'), fish: path.join(this.dir, 'zvm.fish') };
+  }
+
+  // --- Diagnostics ---
+
+  /**
+   * Checks the setup for common problems: shell setup, PATH order, the active link, leftovers
+   * from interrupted installs, broken aliases and the system tar. With `fix`, repairs what can
+   * be repaired without guessing; shell startup files are never edited.
+   * @param {{fix?: boolean}} [options]
+   * @returns {Promise<Array<{check: string, status: 'pass'|'warn'|'fail', message: string, hint?: string, fixable: boolean, fixed: boolean}>>}
+   */
+  async doctor({ fix = false } = {}) {
+    const run = async () => {
+      const results = [];
+      const report = async (check, status, message, { hint, repair } = {}) => {
+        let fixed = false;
+        if (fix && status !== 'pass' && repair) {
+          try {
+            await repair();
+            fixed = true;
+          } catch (e) {
+            hint = `Could not fix this automatically: ${e.message}`;
+          }
+        }
+        results.push({ check, status, message, ...(hint ? { hint } : {}), fixable: Boolean(repair), fixed });
+      };
+      const initHint = "Run 'zvm init' and add the line it prints to your shell's startup file, then restart the shell.";
+
+      // Shell setup
+      if (process.env.ZVM_INITIALIZED === 'true') {
+        await report('shell', 'pass', "The zvm shell setup is loaded.");
+      } else {
+        await report('shell', 'warn', "The zvm shell setup is not loaded in this shell (ZVM_INITIALIZED is not set).", { hint: initHint });
+      }
+
+      const pathDirs = (process.env[getPathKey()] || '').split(path.delimiter).filter(Boolean);
+      const normalize = (dir) => (os.platform() === 'win32' ? path.resolve(dir).toLowerCase() : path.resolve(dir));
+      const onPath = pathDirs.some(dir => normalize(dir) === normalize(this.shimBinDir));
+      if (onPath) {
+        await report('path', 'pass', `${this.shimBinDir} is on PATH.`);
+      } else {
+        await report('path', 'fail', `${this.shimBinDir} is not on PATH, so zvm's zig is not found.`, { hint: initHint });
+      }
+
+      const zig = await findExecutable('zig');
+      if (zig && !isPathInside(zig, this.dir)) {
+        await report('shadowed', 'fail', `'zig' runs ${zig}, which is not managed by zvm.`, {
+          hint: "Uninstall that zig (e.g. the distribution package), or load zvm's setup after anything else that changes PATH.",
+        });
+      } else if (zig) {
+        await report('shadowed', 'pass', `'zig' runs ${zig}.`);
+      } else if (onPath) {
+        await report('shadowed', 'warn', "No 'zig' is found on PATH.", { hint: "Run 'zvm doctor --fix' to write the shims." });
+      }
+
+      const outdated = [];
+      for (const { file, content } of this.getShellFiles()) {
+        const current = await fs.readFile(file, 'utf-8').catch(() => null);
+        if (current !== content) outdated.push(path.relative(this.dir, file));
+      }
+      if (outdated.length === 0) {
+        await report('shims', 'pass', "The shims, shell setup and completion scripts are up to date.");
+      } else {
+        await report('shims', 'warn', `Missing or outdated shims, setup or completion scripts: ${outdated.join(', ')}.`, {
+          hint: "Run 'zvm init' to write them again.",
+          repair: () => this.init(),
+        });
+      }
+
+      // Installs
+      const activeDir = await this.getActiveVersionDir();
+      const activeExists = await fs.stat(this.activeLink).then(() => true, () => false);
+      if (activeDir && !activeExists) {
+        await report('active', 'fail', `The active link points to ${activeDir}, which is no longer installed.`, {
+          hint: "Run 'zvm use <version>' to activate an installed version, or 'zvm deactivate'.",
+          repair: () => fs.unlink(this.activeLink),
+        });
+      } else {
+        await report('active', 'pass', activeDir ? `The active version is ${activeDir}.` : "No version is active.");
+      }
+
+      const globalVersion = await this.globalVersion().catch(() => null);
+      if (globalVersion && !await this.resolve(globalVersion)) {
+        await report('global', 'fail', `The global default ${globalVersion} is not installed.`, {
+          hint: `Install it with 'zvm install ${globalVersion}', or pick another with 'zvm global <version>'.`,
+          repair: () => this.unsetGlobalVersion(),
+        });
+      } else {
+        await report('global', 'pass', globalVersion ? `The global default is ${globalVersion}.` : "No global default is set.");
+      }
+
+      const lock = await this.readLock();
+      const busy = lock && !lock.stale && lock.pid !== process.pid;
+      if (lock?.stale) {
+        await report('lock', 'warn', `${this.lockFile} was left by process ${lock.pid ?? 'unknown'}, which is no longer running.`, {
+          hint: "It is removed automatically by the next command that needs it.",
+          repair: () => fs.rm(this.lockFile, { force: true }),
+        });
+      } else {
+        await report('lock', 'pass', busy ? `Another zvm process (pid ${lock.pid}) is running.` : "No other zvm process is running.");
+      }
+
+      const leftovers = [];
+      for (const entry of await fs.readdir(this.stagingDir).catch(() => [])) {
+        leftovers.push(path.join(this.stagingDir, entry));
+      }
+      for (const entry of await fs.readdir(this.versionsDir).catch(() => [])) {
+        if (entry.endsWith('.tmp')) leftovers.push(path.join(this.versionsDir, entry)); // From older zvm versions
+      }
+      if (leftovers.length === 0) {
+        await report('staging', 'pass', "No leftovers from interrupted installs.");
+      } else if (busy) {
+        await report('staging', 'pass', `Another zvm process (pid ${lock.pid}) is running; ${leftovers.length} staging directories may be in use.`);
+      } else {
+        await report('staging', 'warn', `${leftovers.length} leftover directories from interrupted installs: ${leftovers.join(', ')}`, {
+          hint: "They are safe to delete.",
+          repair: () => Promise.all(leftovers.map(dir => fs.rm(dir, { recursive: true, force: true }))),
+        });
+      }
+
+      const linked = await this.getLinkedToolchains();
+      const missingLinks = [];
+      for (const toolchain of linked) {
+        if (!await fs.stat(path.join(this.versionsDir, toolchain.name)).then(() => true, () => false)) missingLinks.push(toolchain);
+      }
+      if (missingLinks.length === 0) {
+        await report('links', 'pass', linked.length > 0 ? "All linked toolchains exist." : "No toolchains are linked.");
+      } else {
+        await report('links', 'fail', `Linked toolchains whose directory is gone: ${missingLinks.map(({ name, path: target }) => `${name} -> ${target}`).join(', ')}.`, {
+          hint: "Unregister them with 'zvm unlink <name>', or link them again.",
+          repair: async () => {
+            for (const { name } of missingLinks) await this.unlink(name);
+          },
+        });
+      }
+
+      let aliases = null;
+      try {
+        aliases = await this.aliases();
+      } catch (e) {
+        await report('aliases', 'fail', `${this.aliasesFile} can't be read: ${e.message}`, { hint: "Fix the file by hand, or delete it to start over." });
+      }
+      if (aliases) {
+        const installed = new Set([
+          ...(await this.getInstalledVersions({ target: null })).map(([dir]) => dir),
+          ...(await this.getLinkedToolchains()).map(({ name }) => name),
+        ]);
+        const broken = Object.keys(aliases).filter(alias => !installed.has(aliases[alias]));
+        if (broken.length === 0) {
+          await report('aliases', 'pass', "All aliases point at installed versions.");
+        } else {
+          await report('aliases', 'fail', `Aliases point at versions that are not installed: ${broken.map(alias => `${alias} -> ${aliases[alias]}`).join(', ')}.`, {
+            hint: "Remove them with 'zvm alias --unset <name>', or install the versions again.",
+            repair: async () => {
+              for (const alias of broken) await this.unsetAlias(alias);
+            },
+          });
+        }
+      }
+
+      // Tools
+      if (!this.systemTar) {
+        await report('tar', 'pass', "Archives are extracted by zvm itself; no system tar is needed.");
+      } else if (await findExecutable('tar')) {
+        await report('tar', 'pass', "The system tar is used for extraction and was found on PATH.");
+      } else {
+        await report('tar', 'fail', "The system tar is requested (--system-tar or ZVM_SYSTEM_TAR) but is not on PATH.", {
+          hint: os.platform() === 'win32'
+            ? "Install Git for Windows, which comes with tar, or unset ZVM_SYSTEM_TAR to use the built-in extractor."
+            : "Install tar, or unset ZVM_SYSTEM_TAR to use the built-in extractor.",
+        });
+      }
+      return results;
+    };
+    return fix ? this.withLock(run) : run();
+  }
+}
+
+// --- CLI ---
+
+// Options every command accepts. A flag with a `value` takes one, as `--name <value>` or
+// `--name=value`; the others are booleans. `complete` lists the candidates for the value,
+// either literally or as a kind that getCompletions looks up.
+const GLOBAL_FLAGS = {
+  help: { short: 'h', description: "Show help for a command." },
+  json: { description: "Print results as JSON. Errors are printed as {\"error\": \"...\"} with exit code 1." },
+  format: { value: '<text|json>', complete: ['text', 'json'], description: "Same as --json when set to json." },
+  quiet: { short: 'q', description: "Only print results, warnings and errors." },
+  verbose: { description: "Also print details like each request made." },
+  'no-color': { description: "Don't color the output or decorate it with emoji. NO_COLOR does the same." },
+  offline: { description: "Don't go online. Uses the cached index and the download cache." },
+  'system-tar': { description: "Extract with the system 'tar' instead of the built-in extractor." },
+};
+// Every command, for the parser, the help and tab completion. `args` lists the completion
+// candidates for each positional argument like a flag's `complete`. Everything after a `raw`
+// command belongs to the command it runs, not to zvm. `json` commands print results as JSON.
+const COMMANDS = {
+  init: {
+    usage: ['init'],
+    description: "Display setup instructions for your shell.",
+  },
+  doctor: {
+    usage: ['doctor [--fix]'],
+    description: "Check the setup for problems, repairing what it safely can.",
+    flags: { fix: { description: "Repair what can be repaired safely." } },
+    json: true,
+    examples: ['zvm doctor', 'zvm doctor --fix'],
+  },
+  completions: {
+    usage: ['completions <shell>'],
+    description: "Print the tab completion script for bash, zsh, fish or powershell. 'zvm init' sets them up for you.",
+    args: [['bash', 'zsh', 'fish', 'powershell']],
+    examples: ['zvm completions bash > ~/.local/share/bash-completion/completions/zvm'],
+  },
+  install: {
+    aliases: ['i'],
+    usage: ['install [version] [options]'],
+    description: "Install a version, optionally with an alias. If no version is given, uses the project's .zig-version or build.zig.zon.",
+    args: ['remote'],
+    flags: {
+      alias: { value: '<name>', complete: 'aliases', description: "Point an alias at the new install." },
+      'with-zls': { description: "Also install the matching ZLS (Zig Language Server)." },
+      target: { value: '<arch-os>', complete: 'platforms', description: "Install the toolchain for another platform, e.g. aarch64-macos." },
+      'from-file': { value: '<archive>', description: "Install an archive on disk. The version and platform are taken from its name." },
+      source: { value: '<name>', complete: 'sources', description: "Install from another version index, e.g. mach. Keys like mach-latest pick it by themselves." },
+    },
+    examples: [
+      'zvm install 0.14.1 --alias stable',
+      'zvm install master --with-zls',
+      'zvm install mach-latest',
+      'zvm install 2024.11.0-mach --source mach',
+      'zvm install 0.14.1 --target=aarch64-macos',
+      'zvm install --from-file zig-x86_64-linux-0.14.1.tar.xz',
+    ],
+  },
+  uninstall: {
+    aliases: ['remove', 'rm'],
+    usage: ['uninstall <version|alias> [--target <arch-os>]'],
+    description: "Remove an installed version.",
+    args: ['installed'],
+    flags: {
+      target: { value: '<arch-os>', complete: 'platforms', description: "Remove the install for another platform." },
+    },
+    examples: ['zvm uninstall 0.13.0', 'zvm rm 0.14.1 --target aarch64-macos'],
+  },
+  link: {
+    usage: ['link <name> <path>'],
+    description: "Register a Zig toolchain zvm didn't install, e.g. a source build. <path> is the directory containing the zig executable.",
+    examples: ['zvm link dev ~/src/zig/build/stage3/bin'],
+  },
+  unlink: {
+    usage: ['unlink <name>'],
+    description: "Unregister a linked toolchain. Its directory is left alone.",
+    args: ['linked'],
+  },
+  export: {
+    usage: ['export [file]'],
+    description: "Write the installs, their aliases and the active version to a manifest (default: print it).",
+    examples: ['zvm export zvm.json'],
+  },
+  import: {
+    aliases: ['sync'],
+    usage: ['import <file> [--prune]'],
+    description: "Install, alias and activate what a manifest lists.",
+    flags: { prune: { description: "Also remove installs and aliases the manifest doesn't list." } },
+    json: true,
+    examples: ['zvm import zvm.json', 'zvm sync zvm.json --prune'],
+  },
+  use: {
+    aliases: ['activate'],
+    usage: ['use [version|alias]'],
+    description: "Set a version as active. If no version is given, uses the project's .zig-version or build.zig.zon.",
+    args: ['installed'],
+    examples: ['zvm use 0.14.1', 'zvm use stable'],
+  },
+  deactivate: {
+    aliases: ['unuse'],
+    usage: ['deactivate'],
+    description: "Deactivate the current version.",
+  },
+  current: {
+    usage: ['current'],
+    description: "Display the version that applies here and what picked it.",
+    json: true,
+  },
+  local: {
+    usage: ['local [version|alias]'],
+    description: "Pin the current directory to a version by writing .zig-version. Aliases are written as their version. Without one, shows the pin.",
+    args: ['remote'],
+    examples: ['zvm local 0.14.1', 'zvm local'],
+  },
+  global: {
+    usage: ['global [version|alias]', 'global --unset'],
+    description: "Set the default version used where nothing else picks one, and activate it. Without one, shows it.",
+    args: ['installed'],
+    flags: { unset: { description: "Remove the global default." } },
+    examples: ['zvm global 0.14.1', 'zvm global --unset'],
+  },
+  upgrade: {
+    usage: ['upgrade [master|stable|<alias>] [--keep <n>]'],
+    description: "Install the newest build of a track (default: master). Given an alias, moves it to the newest build of its track.",
+    args: ['tracks'],
+    flags: { keep: { value: '<n>', description: `Dev builds to keep besides the newest (default: ${DEFAULT_KEEP_DEV_BUILDS}).` } },
+    examples: ['zvm upgrade', 'zvm upgrade stable', 'zvm upgrade --keep=0'],
+  },
+  exec: {
+    usage: ['exec <version|alias> -- <command> [args...]'],
+    description: "Run a command with a version first on PATH, without activating it. The command's exit code is passed through.",
+    args: ['installed'],
+    raw: true,
+    examples: ['zvm exec 0.13.0 -- zig build', 'zvm exec stable -- zls --version'],
+  },
+  run: {
+    usage: ['run <version|alias> [zig args...]'],
+    description: "Run zig from a version.",
+    args: ['installed'],
+    raw: true,
+    examples: ['zvm run 0.14 build test'],
+  },
+  alias: {
+    usage: ['alias', 'alias <name> <version|alias>', 'alias --unset <name>'],
+    description: "List aliases, create an alias for a version, or remove one.",
+    args: ['aliases', 'installed'],
+    flags: { unset: { description: "Remove the alias." } },
+    json: true,
+    examples: ['zvm alias stable 0.14.1', 'zvm alias --unset stable'],
+  },
+  list: {
+    aliases: ['ls'],
+    usage: ['list'],
+    description: "List all installed versions.",
+    json: true,
+  },
+  'list-remote': {
+    aliases: ['ls-remote'],
+    usage: ['list-remote [--target <arch-os>] [--source <name>]'],
+    description: "List all available versions for download.",
+    flags: {
+      target: { value: '<arch-os>', complete: 'platforms', description: "List the versions available for another platform instead." },
+      source: { value: '<name>', complete: 'sources', description: "List the versions of another version index, e.g. mach." },
+    },
+    json: true,
+    examples: ['zvm list-remote', 'zvm list-remote --source mach'],
+  },
+  path: {
+    usage: ['path [version|alias] [--target <arch-os>]'],
+    description: "Print the install directory of a version. If no version is given, uses ZVM_VERSION, the project's version files, the active version or the global default, in that order.",
+    args: ['installed'],
+    flags: {
+      target: { value: '<arch-os>', complete: 'platforms', description: "Locate the install for another platform." },
+    },
+    examples: ['zvm path', 'zvm path 0.14.1'],
+  },
+  docs: {
+    usage: ['docs [version|alias] [options]'],
+    description: "Serve the language reference, or the standard library docs, of a version on a local web server. The version is chosen like 'use'.",
+    args: ['installed'],
+    flags: {
+      std: { description: "Serve the standard library docs instead." },
+      port: { value: '<n>', description: "Listen on a fixed port." },
+      open: { description: "Open the docs in the browser." },
+    },
+    examples: ['zvm docs --open', 'zvm docs 0.14.1 --std --port=8080'],
+  },
+  mirrors: {
+    usage: ['mirrors [list|refresh]', 'mirrors pin|unpin <url>', 'mirrors exclude|include <url>'],
+    description: "Show the mirror ranking, probing again with 'refresh'. Pinned mirrors are always tried first, and excluded ones never.",
+    args: [['list', 'refresh', 'pin', 'unpin', 'exclude', 'include']],
+    examples: ['zvm mirrors refresh', 'zvm mirrors pin https://zig.example.com'],
+  },
+  cache: {
+    usage: ['cache [list|clean]'],
+    description: "Show or remove downloaded archives.",
+    args: [['list', 'clean']],
+  },
+  config: {
+    usage: ['config [list]', 'config get|unset <key>', 'config set <key> <value>'],
+    description: "Show all settings and where their values come from, or change one. 'set' saves it to config.json; lists are comma-separated.",
+    args: [['list', 'get', 'set', 'unset'], 'settings'],
+    json: true,
+    examples: ['zvm config set mirrors https://a.example.com,https://b.example.com', 'zvm config unset timeout'],
+  },
+  zls: {
+    usage: ['zls [list]', 'zls install [version|alias]', 'zls use <zls-version> [version|alias]'],
+    description: "List ZLS builds, or install or use the build compatible with a version (default: active).",
+    args: [['install', 'use', 'list'], 'installed'],
+    examples: ['zvm zls install', 'zvm zls use 0.14.0 0.14.1'],
+  },
+  help: {
+    usage: ['help [command]'],
+    description: "Show help for zvm or one of its commands.",
+    args: ['commands'],
+  },
+  __complete: { raw: true, hidden: true },
+};
+
+/**
+ * Finds the command a name or command alias stands for.
+ * @param {string} name - The name as typed.
+ * @returns {string|undefined} The command's name in COMMANDS.
+ */
+function findCommand(name) {
+  if (Object.hasOwn(COMMANDS, name)) return name;
+  return Object.keys(COMMANDS).find(command => COMMANDS[command].aliases?.includes(name));
+}
+
+/**
+ * Finds the command a name stands for, like findCommand, but fails for an unknown one.
+ * @param {string} name - The name as typed.
+ * @returns {string} The command's name in COMMANDS.
+ * @throws {UsageError} Suggesting the closest command, if one is close.
+ */
+function requireCommand(name) {
+  const command = findCommand(name);
+  if (command) return command;
+  const match = suggest(name, Object.keys(COMMANDS).filter(candidate => !COMMANDS[candidate].hidden));
+  throw new UsageError(`Unknown command "${name}".`, {
+    hint: match ? `Did you mean 'zvm ${match}'?` : "Run 'zvm help' to see the commands.",
+  });
+}
+
+/**
+ * Picks the candidate closest to a mistyped word, by edit distance.
+ * @param {string} word - What was typed.
+ * @param {string[]} candidates - The valid words.
+ * @returns {string|null} The closest candidate, or null if none is close enough to be a typo.
+ */
+function suggest(word, candidates) {
+  const distance = (a, b) => {
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const next = [i];
+      for (let j = 1; j <= b.length; j++) {
+        next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      row = next;
+    }
+    return row[b.length];
+  };
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(word.length / 3)) + 1;
+  for (const candidate of candidates) {
+    const d = distance(word, candidate);
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * Splits a command line into the command, its positional arguments and its flags.
+ * Flags are checked against the command's own and the global ones.
+ * @param {string[]} args - The arguments after `zvm`.
+ * @returns {{command?: string, positional: string[], flags: Object<string, string|boolean>, rawArgs: string[]}}
+ * @throws {UsageError} For an unknown command or flag, or a flag missing its value.
+ */
+function parseArgs(args) {
+  let command;
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (command && COMMANDS[command].raw) {
+      return { command, positional, flags, rawArgs: args.slice(i) };
+    }
+    if (arg === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      if (command !== undefined) {
+        positional.push(arg);
+        continue;
+      }
+      command = requireCommand(arg);
+      continue;
+    }
+
+    const commandFlags = command ? COMMANDS[command].flags || {} : {};
+    const known = { ...GLOBAL_FLAGS, ...commandFlags };
+    let name;
+    let value;
+    if (arg.startsWith('--')) {
+      const equals = arg.indexOf('=');
+      name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+      value = equals === -1 ? undefined : arg.slice(equals + 1);
+    } else {
+      name = Object.keys(known).find(flag => known[flag].short === arg.slice(1));
+      if (!name) {
+        throw new UsageError(`Unknown option "${arg}".`, { hint: "Run 'zvm help' to see the options." });
+      }
+    }
+    if (!Object.hasOwn(known, name)) {
+      const match = suggest(name, Object.keys(known));
+      const owner = !command && Object.keys(COMMANDS).find(candidate => Object.hasOwn(COMMANDS[candidate].flags || {}, name));
+      let hint = match ? `Did you mean --${match}?` : `Run '${command ? `zvm ${command} --help` : 'zvm help'}' to see the options.`;
+      if (owner) hint = `--${name} goes after the command it belongs to, e.g. 'zvm ${owner} --${name}'.`;
+      throw new UsageError(`Unknown option "--${name}"${command ? ` for '${command}'` : ''}.`, { hint });
+    }
+    if (!known[name].value) {
+      if (value !== undefined) throw new UsageError(`--${name} doesn't take a value.`);
+      flags[name] = true;
+      continue;
+    }
+    if (value === undefined) {
+      value = args[++i];
+      if (value === undefined) throw new UsageError(`--${name} needs a value: --${name} ${known[name].value}`);
+    }
+    flags[name] = value;
+  }
+  return { command, positional, flags, rawArgs: [] };
+}
+
+/**
+ * Prints the usage, options and examples of a command.
+ * @param {string} name - The command's name in COMMANDS.
+ */
+function printCommandHelp(name) {
+  const { aliases = [], usage = [], description, flags = {}, json, examples = [] } = COMMANDS[name];
+  const formatFlags = (entries) => entries.map(([flag, { short, value, description: text }]) => {
+    const label = `${short ? `-${short}, ` : ''}--${flag}${value ? ` ${value}` : ''}`;
+    return `  ${label.padEnd(28)} ${text}`;
+  });
+
+  log(`${colors.yellow}Usage:${colors.reset}`);
+  usage.forEach(line => log(`  zvm ${line}`));
+  log(`\n${description}`);
+  if (aliases.length > 0) log(`\nAlso available as: ${aliases.join(', ')}`);
+  if (Object.keys(flags).length > 0) {
+    log(`\n${colors.cyan}Options:${colors.reset}`);
+    formatFlags(Object.entries(flags)).forEach(line => log(line));
+  }
+  log(`\n${colors.cyan}Global options:${colors.reset}`);
+  const globals = Object.entries(GLOBAL_FLAGS).filter(([flag]) => json || (flag !== 'json' && flag !== 'format'));
+  formatFlags(globals).forEach(line => log(line));
+  if (examples.length > 0) {
+    log(`\n${colors.cyan}Examples:${colors.reset}`);
+    examples.forEach(example => log(`  ${example}`));
+  }
+}
+
+/**
+ * Reminds the user to set up their shell when a change to the active version won't show up without it.
+ */
+function warnIfNotInitialized() {
+  if (process.env.ZVM_INITIALIZED !== 'true') {
+    logWarn("\nRun 'zvm init' and follow its instructions to apply this change to your shell.");
+  }
+}
+
+/**
+ * Lists all available Zig versions for a platform from the official JSON index, or another source's.
+ * @param {Zvm} zvm
+ * @param {string} [target] - The `<arch>-<os>` platform. Defaults to the host.
+ * @param {string} [source] - The version source. Defaults to ziglang.org's index.
+ */
+async function handleListRemote(zvm, target, source) {
+  const versions = await zvm.listRemote({ target, source });
+  if (isJson()) {
+    printJson(versions);
+    return;
+  }
+
+  if (source && source !== DEFAULT_SOURCE) {
+    log(`\n--- Zig Versions from ${source} ---`);
+    if (versions.length === 0) log("  (None available for this platform)");
+    versions.forEach(({ name, version, date }) => {
+      const detail = name === version ? '' : ` ${colors.gray}(${version}${date ? `, ${date}` : ''})${colors.reset}`;
+      log(`  - ${colors.cyan}${name}${colors.reset}${detail}`);
+    });
+    log(`\nInstall one with: zvm install <name> --source ${source}`);
+    return;
+  }
+
+  log("\n--- Available Zig Versions ---");
+  log(`${colors.yellow}Stable Releases:${colors.reset}`);
+  versions
+    .filter(({ version, master }) => !master && !version.includes('-dev'))
+    .forEach(({ version }) => log(`  - ${version}`));
+
+  log(`\n${colors.yellow}Latest Development Build:${colors.reset}`);
+  const master = versions.find(({ master }) => master);
+  if (master) {
+    log(`  - ${master.version}`);
+  } else {
+    log("  (Not available for this platform)");
+  }
+}
+
+/**
+ * Lists all locally installed Zig versions, indicating the active one and any aliases.
+ * @param {Zvm} zvm
+ */
+async function handleList(zvm) {
+  const versions = await zvm.list({ sizes: isJson() });
+  if (isJson()) {
+    printJson(versions);
+    return;
+  }
+
+  logInfo(`Installed Zig versions in ${zvm.versionsDir}:`);
+  if (versions.length === 0) {
+    log("  (No versions installed yet)");
+  } else {
+    const hostKey = getPlatformKey(getPlatformInfo());
+    versions.forEach(({ name, platform, path: linkedPath, linked, aliases, active }) => {
+      const aliasText = aliases.length > 0 ? `${colors.gray} (alias: ${aliases.join(', ')})` : '';
+      const platformText = linked
+        ? `${colors.yellow} [linked: ${linkedPath}]`
+        : platform && platform !== hostKey ? `${colors.yellow} [${platform}]` : '';
+      const prefix = active ? `${colors.green}-> ` : '   ';
+      log(`${prefix}${colors.cyan}${name}${colors.reset}${platformText}${aliasText}${colors.reset}`);
+    });
+  }
+}
+
+/**
+ * Installs a version and tells the user how to activate it, unless the default alias already did.
+ * @param {Zvm} zvm
+ * @param {string} [versionSpec] - The version spec to install.
+ * @param {string} [alias] - An optional alias to assign after installation.
+ * @param {boolean} [withZls] - Also install the matching ZLS build.
+ * @param {string} [target] - Install the toolchain for this `<arch>-<os>` platform instead of the host.
+ * @param {string} [fromFile] - Install this archive on disk instead of downloading one.
+ * @param {string} [source] - The version index to install from.
+ */
+async function handleInstall(zvm, versionSpec, alias, withZls = false, target, fromFile, source) {
+  const { version, platform, installed, activated } = await zvm.install(versionSpec, { alias, withZls, target, fromFile, source });
+  if (!installed) return; // Only ZLS was added
+  if (platform !== getPlatformKey(getPlatformInfo())) return; // Can't be activated on this machine
+  if (activated) {
+    warnIfNotInitialized();
+    return;
+  }
+  log("\nTo use it, run:");
+  log(`  zvm use ${alias || version}`);
+}
+
+/**
+ * Activates a version.
+ * @param {Zvm} zvm
+ * @param {string} [versionOrAlias] - The version or alias to activate.
+ */
+async function handleUse(zvm, versionOrAlias) {
+  await zvm.use(versionOrAlias);
+  warnIfNotInitialized();
+}
+
+/**
+ * Deactivates any active version.
+ * @param {Zvm} zvm
+ */
+async function handleDeactivate(zvm) {
+  if (await zvm.deactivate()) warnIfNotInitialized();
+}
+
+/**
+ * Upgrades a release track or alias and reminds the user to set up their shell if the active version changed.
+ * @param {Zvm} zvm
+ * @param {string} [target] - `master`/`nightly`, `stable`/`latest`, or an alias.
+ * @param {number|string} [keep] - How many previous dev builds to keep.
+ */
+async function handleUpgrade(zvm, target, keep) {
+  const { dir, previous, upgraded } = await zvm.upgrade(target, keep === undefined ? {} : { keep });
+  if (upgraded && previous && dir === await zvm.getActiveVersionDir()) warnIfNotInitialized();
+}
+
+/**
+ * Manages version aliases. Without arguments, lists them.
+ * @param {Zvm} zvm
+ * @param {string} [alias] - The alias name.
+ * @param {string} [version] - The version to associate with the alias.
+ * @param {boolean} [unset] - Remove the alias instead.
+ */
+async function handleAlias(zvm, alias, version, unset = false) {
+  if (!alias && unset) throw new UsageError("Please specify the alias to remove.");
+  if (!alias) {
+    const entries = Object.entries(await zvm.aliases());
+    if (isJson()) {
+      printJson(entries.map(([name, dir]) => ({ name, target: dir, version: getDirVersion(dir) })));
+    } else if (entries.length === 0) {
+      logInfo("No aliases defined. Create one with: zvm alias <name> <version>");
+    } else {
+      entries.forEach(([name, dir]) => log(`  ${colors.cyan}${name}${colors.reset} -> ${dir}`));
+    }
+    return;
+  }
+
+  if (unset) {
+    await zvm.unsetAlias(alias);
+  } else if (!version) {
+    throw new UsageError("Please specify a version for the alias.");
+  } else {
+    await zvm.setAlias(alias, version);
+  }
+}
+
+/**
+ * Displays the Zig version that applies in the current directory and what picked it.
+ * @param {Zvm} zvm
+ */
+async function handleCurrent(zvm) {
+  const current = await zvm.current();
+  if (isJson()) {
+    printJson(current);
+  } else if (!current) {
+    logInfo("No version is currently active.");
+  } else {
+    const sources = {
+      environment: "the ZVM_VERSION environment variable",
+      project: current.file,
+      active: "'zvm use'",
+      global: `the global default in ${current.file}`,
+    };
+    log(`${colors.green}Active version:${colors.reset} ${current.zigVersion} (${current.name})`);
+    log(`${colors.gray}Set by: ${sources[current.source]}${colors.reset}`);
+    log(`${colors.gray}Path: ${current.path}${colors.reset}`);
+  }
+}
+
+/**
+ * Pins the current directory to a version, or shows the project version that applies here.
+ * @param {Zvm} zvm
+ * @param {string} [versionSpec] - The version spec or alias to write to .zig-version.
+ */
+async function handleLocal(zvm, versionSpec) {
+  if (versionSpec) {
+    const { dir } = await zvm.setLocalVersion(versionSpec);
+    if (!dir) logInfo("It is not installed yet. To install it, run: zvm install");
+    return;
+  }
+
+  const project = await findProjectVersion();
+  if (!project) {
+    logInfo("No .zig-version or build.zig.zon file applies here. Create one with: zvm local <version>");
+  } else {
+    if (project.versionFile) log(`${project.version} ${colors.gray}(${project.versionFile})${colors.reset}`);
+    if (project.minimumFile) log(`>= ${project.minimum} ${colors.gray}(${project.minimumFile})${colors.reset}`);
+  }
+}
+
+/**
+ * Sets, unsets or shows the global default version.
+ * @param {Zvm} zvm
+ * @param {string} [versionOrAlias] - The version or alias to make the global default.
+ * @param {boolean} [unset] - Remove the global default instead.
+ */
+async function handleGlobal(zvm, versionOrAlias, unset = false) {
+  if (unset) {
+    await zvm.unsetGlobalVersion();
+  } else if (versionOrAlias) {
+    await zvm.setGlobalVersion(versionOrAlias);
+    warnIfNotInitialized();
+  } else {
+    const globalVersion = await zvm.globalVersion();
+    if (globalVersion) log(globalVersion);
+    else logInfo("No global default is set. Set one with: zvm global <version>");
+  }
+}
+
+/**
+ * Manages ZLS builds for installed Zig versions.
+ * @param {Zvm} zvm
+ * @param {string} [subcommand] - One of install, use or list.
+ * @param {string[]} args - The remaining positional arguments.
+ */
+async function handleZls(zvm, subcommand = 'list', args = []) {
+  if (subcommand === 'install') {
+    await zvm.installZls(args[0]);
+  } else if (subcommand === 'use') {
+    await zvm.useZls(args[0], args[1]);
+  } else if (subcommand === 'list') {
+    logInfo(`Installed ZLS versions in ${zvm.versionsDir}:`);
+    const builds = await zvm.listZls();
+    if (builds.length === 0) log("  (No ZLS versions installed yet)");
+    builds.forEach(({ name, usedBy }) => {
+      const usage = usedBy.length > 0 ? `${colors.gray} (used by: ${usedBy.join(', ')})` : '';
+      log(`   ${colors.cyan}${name}${colors.reset}${usage}${colors.reset}`);
+    });
+  } else {
+    throw new UsageError("Usage: zvm zls [list|install [v|a]|use <zls-version> [v|a]]");
+  }
+}
+
+/**
+ * Shows the mirror ranking or manages pinned and excluded mirrors.
+ * @param {Zvm} zvm
+ * @param {string} [subcommand] - One of list, refresh, pin, unpin, exclude or include.
+ * @param {string} [mirrorUrl] - The mirror URL for pin/unpin/exclude/include.
+ */
+async function handleMirrors(zvm, subcommand = 'list', mirrorUrl) {
+  if (['pin', 'unpin', 'exclude', 'include'].includes(subcommand)) {
+    await zvm.setMirrorPreference(subcommand, mirrorUrl);
+    return;
+  }
+  if (subcommand !== 'list' && subcommand !== 'refresh') {
+    throw new UsageError("Usage: zvm mirrors [list|refresh|pin <url>|unpin <url>|exclude <url>|include <url>]");
+  }
+
+  const { probedAt, mirrors, excluded } = await zvm.mirrors({ refresh: subcommand === 'refresh' });
+  logInfo(`Mirror ranking (last probed ${new Date(probedAt).toLocaleString()}):`);
+  if (mirrors.length === 0) log("  (No mirrors available)");
+  mirrors.forEach(({ url, ok, latency, failures, pinned }, i) => {
+    const status = ok === null
+      ? `${colors.gray}not probed`
+      : ok ? `${colors.green}${latency}ms` : `${colors.red}unreachable`;
+    const failureText = failures === null ? '' : `${colors.gray} failures: ${failures}`;
+    const pinnedText = pinned ? `${colors.yellow} [pinned]` : '';
+    log(`  ${String(i + 1).padStart(2)}. ${colors.cyan}${url}${colors.reset} ${status}${failureText}${pinnedText}${colors.reset}`);
+  });
+  if (excluded.length > 0) {
+    log(`\n${colors.yellow}Excluded:${colors.reset}`);
+    excluded.forEach(url => log(`  - ${url}`));
+  }
+}
+
+/**
+ * Shows or changes settings.
+ * @param {Zvm} zvm
+ * @param {string} [subcommand] - One of list, get, set or unset.
+ * @param {string[]} args - The setting name, and the value for set.
+ */
+async function handleConfig(zvm, subcommand = 'list', args = []) {
+  const [key, value] = args;
+  if (subcommand === 'get' && key) {
+    const current = await zvm.getConfig(key);
+    if (isJson()) printJson(current);
+    else log(Array.isArray(current) ? current.join(',') : current ?? '');
+  } else if (subcommand === 'set' && key) {
+    await zvm.setConfig(key, value);
+  } else if (subcommand === 'unset' && key) {
+    await zvm.unsetConfig(key);
+  } else if (subcommand === 'list') {
+    const settings = await zvm.listConfig();
+    if (isJson()) {
+      printJson(Object.fromEntries(settings.map(({ key, value }) => [key, value])));
+      return;
+    }
+    logInfo(`Settings (saved in ${zvm.configFile}):`);
+    settings.forEach(({ key, value, source, description }) => {
+      const shown = Array.isArray(value) ? value.join(',') : value;
+      const origin = source === 'default' ? '' : `${colors.yellow} (${source})`;
+      log(`  ${colors.cyan}${key}${colors.reset} = ${shown ?? ''}${origin}${colors.reset}`);
+      log(`    ${colors.gray}${description}${colors.reset}`);
+    });
+  } else {
+    throw new UsageError("Usage: zvm config [list|get <key>|set <key> <value>|unset <key>]");
+  }
+}
+
+/**
+ * Lists or cleans the download cache.
+ * @param {Zvm} zvm
+ * @param {string} [subcommand] - Either list or clean.
+ */
+async function handleCache(zvm, subcommand = 'list') {
+  if (subcommand === 'clean') {
+    await zvm.cacheClean();
+    return;
+  }
+  if (subcommand !== 'list') {
+    throw new UsageError("Usage: zvm cache [list|clean]");
+  }
+
+  logInfo(`Cached archives in ${zvm.cacheDir}:`);
+  let total = 0;
+  for (const { file, size, shasum, partial } of await zvm.cacheList()) {
+    total += size;
+    const label = partial ? `${colors.yellow}(partial)` : `${colors.gray}sha256:${shasum.slice(0, 12)}`;
+    log(`  ${colors.cyan}${file}${colors.reset} ${formatBytes(size)} ${label}${colors.reset}`);
+  }
+  if (total === 0) log("  (Cache is empty)");
+  else log(`\nTotal: ${formatBytes(total)}`);
+}
+
+/**
+ * Writes a manifest of the installs, aliases and active version to a file, or prints it.
+ * @param {Zvm} zvm
+ * @param {string} [file] - Where to write the manifest. Defaults to stdout.
+ */
+async function handleExport(zvm, file) {
+  const manifest = await zvm.exportManifest();
+  const content = `${JSON.stringify(manifest, null, 2)}\n`;
+  if (!file) {
+    process.stdout.write(content);
+    return;
+  }
+  await writeFileAtomic(path.resolve(file), content);
+  logSuccess(`Wrote ${manifest.versions.length} version(s) to ${file}.`);
+  const unverified = manifest.versions.filter(({ shasum }) => !shasum).map(({ version }) => version);
+  if (unverified.length > 0) {
+    logWarn(`No SHA-256 is known for ${unverified.join(', ')}. Those archives will only be checked against their signatures on import.`);
+  }
+}
+
+/**
+ * Installs, aliases and activates what a manifest from 'zvm export' lists.
+ * @param {Zvm} zvm
+ * @param {string} [file] - The manifest file.
+ * @param {boolean} [prune] - Also remove installs and aliases the manifest doesn't list.
+ */
+async function handleImport(zvm, file, prune = false) {
+  if (!file) throw new UsageError("Usage: zvm import <manifest> [--prune]");
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') throw new UsageError(`Manifest ${file} not found.`);
+    if (e instanceof SyntaxError) throw new UsageError(`Manifest ${file} is not valid JSON: ${e.message}`);
+    throw e;
+  }
+
+  const result = await zvm.importManifest(manifest, { prune });
+  if (isJson()) {
+    printJson(result);
+    return;
+  }
+  const { installed, removed, activated } = result;
+  if (installed.length === 0 && removed.length === 0) {
+    logSuccess(`All versions in ${file} are installed.`);
+  } else {
+    const removedText = removed.length > 0 ? `, removed ${removed.length}` : '';
+    logSuccess(`Installed ${installed.length} version(s)${removedText}.`);
+  }
+  if (activated) warnIfNotInitialized();
+}
+
+/**
+ * Prints the install directory of a version, for use by the shell hooks and shims.
+ * @param {Zvm} zvm
+ * @param {string} [versionOrAlias] - The version or alias to locate.
+ * @param {string} [target] - The `<arch>-<os>` platform of the install. Defaults to the host.
+ */
+async function handlePath(zvm, versionOrAlias, target) {
+  log(await zvm.path(versionOrAlias, { target }));
+}
+
+/**
+ * Serves a version's docs until Ctrl+C is pressed.
+ * @param {Zvm} zvm
+ * @param {string} [versionOrAlias] - The version or alias whose docs to serve.
+ * @param {{std?: boolean, port?: string, open?: boolean}} options - See Zvm#docs.
+ */
+async function handleDocs(zvm, versionOrAlias, options) {
+  const { dir, url, server, exitCode } = await zvm.docs(versionOrAlias, options);
+  if (!server) {
+    process.exitCode = exitCode;
+    return;
+  }
+  logSuccess(`Serving the ${options.std ? 'standard library docs' : 'language reference'} of ${dir} at:`);
+  log(`  ${url}`);
+  logInfo("Press Ctrl+C to stop.");
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  server.close();
+}
+
+/**
+ * Runs a command under a version; its exit code becomes zvm's exit code.
+ * @param {Zvm} zvm
+ * @param {string} versionOrAlias - The version or alias to run under.
+ * @param {string} command - The command to run.
+ * @param {string[]} commandArgs - Arguments for the command.
+ */
+async function handleExec(zvm, versionOrAlias, command, commandArgs) {
+  process.exitCode = await zvm.exec(versionOrAlias, command, commandArgs);
+}
+
+/**
+ * Generates shell setup scripts and provides instructions.
+ * @param {Zvm} zvm
+ */
+async function handleInit(zvm) {
+  const scripts = await zvm.init();
+  if (scripts.powershell) {
+    log("\n--- PowerShell Setup ---");
+    log("1. Add the following line to your PowerShell profile (usually at $PROFILE):");
+    log(`   . "${scripts.powershell}"`);
+    log("2. Restart your shell.");
+  } else { // Linux and macOS
+    log("\n--- Setup for bash/zsh/etc. ---");
+    log("1. Add the following line to your shell's startup file (e.g., ~/.bashrc, ~/.zshrc):");
+    log(`   source "${scripts.sh}"`);
+    log("   For fish, add this to ~/.config/fish/config.fish instead:");
+    log(`   source "${scripts.fish}"`);
+    log("\n2. Restart your shell or run the command above in your current session to apply changes.");
+  }
+  log("\nOnce set up, entering a directory with a .zig-version file switches that shell to the pinned version.");
+  log(`The shims in ${zvm.shimBinDir} pick the version per command, so editors and scripts follow .zig-version too.`);
+  log("Set ZVM_VERSION to override the version for a single shell or command.");
+  log("\nThe setup script also enables tab completion for zvm commands, versions and aliases.");
+  if (!scripts.powershell) log("In zsh, source it after compinit has run.");
+}
+
+/**
+ * Checks the setup for common problems and prints each result with a suggested fix.
+ * Exits with code 1 if a check fails and was not fixed.
+ * @param {Zvm} zvm
+ * @param {boolean} [fix] - Repair what can be repaired safely.
+ */
+async function handleDoctor(zvm, fix = false) {
+  const results = await zvm.doctor({ fix });
+  if (results.some(({ status, fixed }) => status === 'fail' && !fixed)) process.exitCode = 1;
+  if (isJson()) {
+    printJson(results);
+    return;
+  }
+
+  const symbols = { pass: `${colors.green}✅`, warn: `${colors.yellow}⚠️ `, fail: `${colors.red}❌` };
+  for (const { status, message, hint, fixed } of results) {
+    log(`${symbols[status]} ${message}${colors.reset}${fixed ? `${colors.green} (fixed)${colors.reset}` : ''}`);
+    if (hint && !fixed) log(`   ${colors.gray}${hint}${colors.reset}`);
+  }
+
+  const open = results.filter(({ status, fixed }) => status !== 'pass' && !fixed);
+  const fixable = open.filter(({ fixable }) => fixable);
+  if (open.length === 0) {
+    log('');
+    logSuccess("No problems found.");
+  } else if (fixable.length > 0) {
+    log(`\nRun 'zvm doctor --fix' to repair ${fixable.length} of ${open.length} problems.`);
+  }
+}
+
+/**
+ * Prints the tab completion script for a shell.
+ * @param {string} [shell] - One of bash, zsh, fish or powershell.
+ */
+function handleCompletions(shell) {
+  process.stdout.write(getCompletionScript(shell));
+}
+
+/**
+ * Looks up tab completion candidates for a command line. Installed versions, aliases and
+ * linked toolchains are read from disk; remote versions come from the cached index, which is
+ * only fetched if it was never saved.
+ * @param {Zvm} zvm
+ * @param {string[]} words - The words after `zvm` and before the cursor.
+ * @param {string} current - The word being completed, possibly empty.
+ * @returns {Promise<string[]>}
+ */
+async function getCompletions(zvm, words, current) {
+  const lookup = async (kind) => {
+    if (Array.isArray(kind)) return kind;
+    switch (kind) {
+      case 'installed': {
+        const versions = (await zvm.getInstalledVersions()).map(([, version]) => version);
+        const linked = (await zvm.getLinkedToolchains()).map(({ name }) => name);
+        return [...new Set([...versions, ...Object.keys(await zvm.aliases()), ...linked])];
+      }
+      case 'aliases':
+        return Object.keys(await zvm.aliases());
+      case 'linked':
+        return (await zvm.getLinkedToolchains()).map(({ name }) => name);
+      case 'tracks':
+        return ['master', 'stable', ...Object.keys(await zvm.aliases())];
+      case 'remote': {
+        const index = (await zvm.cachedIndex())?.index || await zvm.fetchIndex({ timeout: 3000, retries: 0 }).catch(() => null);
+        const versions = index ? Object.keys(index).filter(v => parseZigVersion(v)) : [];
+        if (index?.master?.version) versions.unshift(index.master.version);
+        for (const source of Object.keys(await zvm.sources())) {
+          if (source === DEFAULT_SOURCE) continue;
+          const cached = await zvm.cachedIndex({ source }); // Other sources are only offered once fetched
+          if (cached) versions.push(...Object.keys(cached.index));
+        }
+        return [...MASTER_KEYWORDS, ...LATEST_KEYWORDS, ...new Set(versions)];
+      }
+      case 'settings':
+        return Object.keys(CONFIG_OPTIONS);
+      case 'sources':
+        return Object.keys(await zvm.sources());
+      case 'platforms':
+        return ZIG_ARCHES.flatMap(arch => ZIG_OSES.map(osName => `${arch}-${osName}`));
+      case 'commands':
+        return Object.keys(COMMANDS).filter(name => !COMMANDS[name].hidden);
+      default:
+        return [];
+    }
+  };
+
+  let command; // null for an unknown one
+  const positional = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (!word.startsWith('-')) {
+      if (command === undefined) command = findCommand(word) ?? null;
+      else positional.push(word);
+      continue;
+    }
+    const flag = { ...GLOBAL_FLAGS, ...(command && COMMANDS[command].flags) }[word.slice(2)];
+    if (flag?.value && !word.includes('=')) {
+      if (i === words.length - 1) return lookup(flag.complete);
+      i++; // Skip the flag's value
+    }
+  }
+
+  if (command === undefined) {
+    return current.startsWith('-') ? Object.keys(GLOBAL_FLAGS).map(flag => `--${flag}`) : lookup('commands');
+  }
+  if (!command) return [];
+  const spec = COMMANDS[command];
+  if (current.startsWith('-')) {
+    const globals = Object.keys(GLOBAL_FLAGS).filter(flag => spec.json || (flag !== 'json' && flag !== 'format'));
+    return [...Object.keys(spec.flags || {}), ...globals].map(flag => `--${flag}`);
+  }
+  return lookup(spec.args?.[positional.length]);
+}
+
+/**
+ * Prints tab completion candidates, one per line, for the completion scripts.
+ * Failures print nothing, so a broken setup never disturbs the shell.
+ * @param {Zvm} zvm
+ * @param {string[]} args - The words after `zvm` and before the cursor, then the word being completed.
+ */
+async function handleComplete(zvm, args) {
+  try {
+    const candidates = await getCompletions(zvm, args.slice(0, -1), args.at(-1) ?? '');
+    if (candidates.length > 0) console.log(candidates.join('\n'));
+  } catch (e) { /* No candidates */ }
+}
+
+/**
+ * Main command router.
+ */
+async function main() {
+  if (process.env.NO_COLOR || !process.stdout.isTTY) usePlainOutput();
+  const { command, positional: positionalArgs, flags, rawArgs } = parseArgs(process.argv.slice(2));
+  const format = flags.json ? 'json' : flags.format || 'text';
+  if (format === 'json') {
+    outputFormat = format;
+    usePlainOutput();
+  } else if (format !== 'text') {
+    throw new UsageError(`Unknown output format "${format}". Use text or json.`);
+  }
+  if (flags['no-color']) usePlainOutput();
+  if (flags.quiet && flags.verbose) throw new UsageError("--quiet and --verbose can't be used together.");
+  if (flags.quiet) verbosity = 'quiet';
+  if (flags.verbose) verbosity = 'verbose';
+
+  const usage = () => {
     log(`\n${colors.yellow}Zig Version Manager (zvm)${colors.reset}
-Usage: zvm <command> [arguments]
+Usage: zvm <command> [arguments] [options]
 
 ${colors.cyan}Setup:${colors.reset}
   init                           Display setup instructions for your shell.
+  doctor [--fix]                 Check the setup for problems, repairing what it safely can.
+  completions <shell>            Print the tab completion script for bash, zsh, fish or powershell.
+                                 'zvm init' sets them up for you.
 
 ${colors.cyan}Commands:${colors.reset}
-  install, i <v> [--alias <n>]   Install a specific version, optionally with an alias.
-  uninstall, rm <v|a>            Remove a specific installed version.
+  install, i [v] [--alias <n>]   Install a version, optionally with an alias. If no version
+                                 is given, uses the project's .zig-version or build.zig.zon.
+             [--with-zls]        Also install the matching ZLS (Zig Language Server).
+             [--system-tar]      Extract with the system 'tar' instead of the built-in extractor.
+             [--target <t>]      Install the toolchain for another platform, e.g. aarch64-macos.
+             [--from-file <f>]   Install an archive on disk, e.g. zig-x86_64-linux-0.14.1.tar.xz.
+                                 The version and platform are taken from its name.
+             [--source <name>]   Install from another version index, e.g. 'mach'. Its keys,
+                                 like mach-latest or 2024.11.0-mach, pick it by themselves.
+  uninstall, rm <v|a>            Remove a specific installed version. Takes --target as well.
+  link <name> <path>             Register a Zig toolchain zvm didn't install, e.g. a source build.
+                                 <path> is the directory containing the zig executable.
+  unlink <name>                  Unregister a linked toolchain. Its directory is left alone.
+  export [file]                  Write the installs, their aliases and the active version to a
+                                 manifest (default: print it).
+  import, sync <file> [--prune]  Install, alias and activate what a manifest lists. With
+                                 --prune, also remove installs and aliases it doesn't list.
   use, activate [v|a]            Set a version as active. If no version is given,
-                                 looks for a .zig-version file.
+                                 uses the project's .zig-version or build.zig.zon.
   deactivate, unuse              Deactivate the current version.
-  current                        Display the currently active version.
+  current                        Display the version that applies here and what picked it.
+  local [v|a]                    Pin the current directory to a version by writing .zig-version.
+                                 Aliases are written as their version. Without one, shows the pin.
+  global [v|a]                   Set the default version used where nothing else picks one,
+                                 and activate it. Without one, shows it.
+  global --unset                 Remove the global default.
+  upgrade [master|stable|<a>]    Install the newest build of a track (default: master). Given
+                                 an alias, moves it to the newest build of its track.
+          [--keep <n>]           Dev builds to keep besides the newest (default: 1).
+  exec <v|a> -- <cmd> [args...]  Run a command with a version first on PATH, without
+                                 activating it. The command's exit code is passed through.
+  run <v|a> [zig args...]        Run zig from a version, e.g. 'zvm run 0.14 build test'.
+  alias                          List aliases.
   alias <name> <v|a>             Create an alias for a version.
   alias --unset <name>           Remove an alias.
   list, ls                       List all installed versions.
-  list-remote, ls-remote         List all available versions for download.`);
+  list-remote, ls-remote         List all available versions for download.
+                [--target <t>]   List the versions available for another platform instead.
+                [--source <name>] List the versions of another version index, e.g. 'mach'.
+  path [v|a]                     Print the install directory of a version. If no version
+                                 is given, uses ZVM_VERSION, the project's version files, the
+                                 active version or the global default, in that order. Takes
+                                 --target as well.
+  docs [v|a] [--std]             Serve the language reference, or the standard library docs, of a
+                                 version on a local web server. The version is chosen like 'use'.
+       [--port <n>] [--open]     Listen on a fixed port; open the docs in the browser.
+  mirrors [refresh]              Show the mirror ranking, probing again with 'refresh'.
+  mirrors pin|unpin <url>        Always try a mirror first (or stop doing so).
+  mirrors exclude|include <url>  Never use a mirror (or allow it again).
+  cache [list|clean]             Show or remove downloaded archives.
+  config [list]                  Show all settings and where their values come from.
+  config get|unset <key>         Show a setting, or reset it to its default.
+  config set <key> <value>       Save a setting to config.json. Lists are comma-separated.
+
+${colors.cyan}ZLS:${colors.reset}
+  zls install [v|a]              Install the ZLS build compatible with a version (default: active).
+  zls use <zls-v> [v|a]          Use an installed ZLS build with a version (default: active).
+  zls list                       List installed ZLS builds.
+
+${colors.cyan}Options:${colors.reset}
+  -h, --help                     Show the options and examples of a command, like 'zvm help <command>'.
+  --offline                      Don't go online. Versions are looked up in the index cached by
+                                 the last online command, and archives come from the download cache.
+  --json, --format json          Print list, list-remote, current, alias, config, import and doctor results as JSON.
+                                 Errors are printed as {"error": "..."} with exit code 1.
+  -q, --quiet                    Only print results, warnings and errors.
+  --verbose                      Also print details like each request made.
+  --no-color                     Don't color the output or decorate it with emoji. This is also the
+                                 case when NO_COLOR is set or the output isn't a terminal.
+
+Flags that take a value accept both '--alias stable' and '--alias=stable'.`);
   };
 
-  await fs.mkdir(INSTALL_BASE_DIR, { recursive: true });
+  if (command === undefined || (command === 'help' && !positionalArgs[0])) {
+    usage();
+    return;
+  }
+  if (command === 'help') {
+    printCommandHelp(requireCommand(positionalArgs[0]));
+    return;
+  }
+  if (flags.help || (command !== '__complete' && ['-h', '--help'].includes(rawArgs[0]))) {
+    printCommandHelp(command);
+    return;
+  }
+
+  const zvm = new Zvm({
+    logger: { info: logInfo, success: logSuccess, warn: logWarn, debug: logDebug },
+    progress: verbosity !== 'quiet',
+    ...(flags['system-tar'] ? { systemTar: true } : {}),
+    ...(flags.offline ? { config: { offline: true } } : {}),
+  });
 
   switch (command) {
     case 'install':
-    case 'i':
-      await handleInstall(positionalArgs[0], flags.alias);
+      await handleInstall(zvm, positionalArgs[0], flags.alias, flags['with-zls'], flags.target, flags['from-file'], flags.source);
       break;
     case 'uninstall':
-    case 'remove':
-    case 'rm':
-      await handleRemove(positionalArgs[0]);
+      await zvm.remove(positionalArgs[0], { target: flags.target });
       break;
     case 'use':
-    case 'activate':
-      await handleUse(positionalArgs[0]);
+      await handleUse(zvm, positionalArgs[0]);
       break;
     case 'deactivate':
-    case 'unuse':
-      await handleDeactivate();
+      await handleDeactivate(zvm);
       break;
     case 'current':
-      await handleCurrent();
+      await handleCurrent(zvm);
       break;
+    case 'local':
+      await handleLocal(zvm, positionalArgs[0]);
+      break;
+    case 'global':
+      await handleGlobal(zvm, positionalArgs[0], flags.unset);
+      break;
+    case 'upgrade':
+      await handleUpgrade(zvm, positionalArgs[0], flags.keep);
+      break;
+    case 'exec': {
+      const [version, ...rest] = rawArgs;
+      const commandLine = rest[0] === '--' ? rest.slice(1) : rest;
+      await handleExec(zvm, version, commandLine[0], commandLine.slice(1));
+      break;
+    }
+    case 'run': {
+      const [version, ...zigArgs] = rawArgs;
+      await handleExec(zvm, version, 'zig', zigArgs);
+      break;
+    }
     case 'alias':
-      await handleAlias(flags.unset || positionalArgs[0], positionalArgs[1] || (flags.unset ? '--unset' : undefined));
+      await handleAlias(zvm, positionalArgs[0], positionalArgs[1], flags.unset);
+      break;
+    case 'link':
+      await zvm.link(positionalArgs[0], positionalArgs[1]);
+      break;
+    case 'unlink':
+      await zvm.unlink(positionalArgs[0]);
+      break;
+    case 'export':
+      await handleExport(zvm, positionalArgs[0]);
+      break;
+    case 'import':
+      await handleImport(zvm, positionalArgs[0], flags.prune);
       break;
     case 'init':
-      await handleInit();
+      await handleInit(zvm);
+      break;
+    case 'doctor':
+      await handleDoctor(zvm, flags.fix);
+      break;
+    case 'completions':
+      handleCompletions(positionalArgs[0]);
+      break;
+    case '__complete':
+      await handleComplete(zvm, rawArgs);
       break;
     case 'list':
-    case 'ls':
-      await handleList();
+      await handleList(zvm);
       break;
     case 'list-remote':
-    case 'ls-remote':
-      await handleListRemote();
+      await handleListRemote(zvm, flags.target, flags.source);
       break;
-    default:
-      usage();
+    case 'path':
+      await handlePath(zvm, positionalArgs[0], flags.target);
+      break;
+    case 'docs':
+      await handleDocs(zvm, positionalArgs[0], { std: flags.std, port: flags.port, open: flags.open });
       break;
+    case 'zls':
+      await handleZls(zvm, positionalArgs[0], positionalArgs.slice(1));
+      break;
+    case 'cache':
+      await handleCache(zvm, positionalArgs[0]);
+      break;
+    case 'mirrors':
+      await handleMirrors(zvm, positionalArgs[0], positionalArgs[1]);
+      break;
+    case 'config':
+      await handleConfig(zvm, positionalArgs[0], positionalArgs.slice(1));
+      break;
+  }
+}
+
+/**
+ * Tells whether this file is the program being run, rather than a module imported by one.
+ * @returns {boolean}
+ */
+function isMainModule() {
+  if (typeof import.meta.main === 'boolean') return import.meta.main; // Deno and Bun
+  try {
+    return Boolean(process.argv[1]) && realpathSync(process.argv[1]) === realpathSync(fileURLToPath(import.meta.url));
+  } catch (e) {
+    return false;
   }
 }
 
-main().catch(err => {
-  logError(`An error occurred: ${err.message}`);
-  process.exit(1);
-});
+if (isMainModule()) {
+  main().catch(err => {
+    if (err instanceof ZvmError) {
+      logError(err.message);
+      if (err.hint) logInfo(err.hint);
+    } else {
+      logError(`An error occurred: ${err.message}`);
+      logDebug(err.stack);
+    }
+    process.exit(1);
+  });
+}
+
+export { parseZigVersion, compareZigVersions, selectVersion, verifyArchive, extractArchive, parseArgs };